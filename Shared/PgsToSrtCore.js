@@ -0,0 +1,2590 @@
+/**
+ * @description Host-agnostic PGS/SUP to SRT pipeline: probe, filter, extract, OCR, post-process and output. Shared by the FileFlows
+ * script (example-script.js, which imports this file as "Shared/PgsToSrtCore") and the Node CLI (cli/pgstosrt.mjs).
+ * Processes, files, logging and flow variables are reached only through the host adapter passed to runPgsToSrt.
+ */
+
+// Job parameter names, in the order of the FileFlows script signature. Their meaning is documented in example-script.js.
+export const PGSTOSRT_PARAMETERS = [
+    "TrackLanguageFilter", "OcrLanguage", "TesseractPath", "MuxToMkv", "FilterOutEngForeign", "SkipIfNoSubtitles",
+    "FilePermissions", "FileWaitMs", "Blacklist", "ShortThreshold", "ExtendTo", "OcrCacheDir", "OcrCacheMaxAgeDays",
+    "OcrCacheMaxSizeMb", "ReplacePgs", "MaxParallelOcr", "MinQualityScore", "RejectLowQuality", "QualityWordList",
+    "OcrCorrection", "CorrectionRulesFile", "OutputFormats", "OcrLanguageMap", "NameTemplate", "IncludeSidecarSup",
+    "AllowOverlap", "PositionThreshold", "ExistingSubtitles", "TrackRules", "TimingOffsetMs", "FpsConversion",
+    "MinCueGapMs", "MaxCueDurationMs", "MergeIdenticalCues", "DetectLanguages", "DetectSampleSize", "WriteReport"
+];
+
+/**
+ * Converts the PGS subtitles of one file.
+ * @param {object} host Adapter to the environment the job runs in:
+ *   workingFile, originalFile: the file to read, and the file whose folder and name the outputs follow
+ *   tempPath, isWindows: folder for temporary files, and whether paths use backslashes
+ *   variables: object receiving the PgsToSrt.* results (quality scores, detected languages, the job report)
+ *   setWorkingFile(path): called with the muxed MKV or the created subtitle file
+ *   execute({ command, argumentList, workingDirectory }): runs a process to completion and returns { exitCode, output, standardError }
+ *   sleep(ms), log.info/warn/error(message)
+ *   fs: fileExists, directoryExists, createDirectory, listFiles(folder, "name*.ext"), fileSize, lastWriteTime (ms), touch, readText,
+ *       writeText, copy(source, destination, overwrite), delete, openRead(path) returning { readByte, skip, position, length, close },
+ *       writeRanges(source, destination, [{ offset, length }])
+ *   tools: optional { pgsToSrtDir, mkvmerge, mkvextract, ffprobe, ffmpeg } replacing the default install locations
+ *   dryRun: optional; probe and select tracks, report what would be converted and leave every file alone
+ * @param {object} params Job parameters by name (see PGSTOSRT_PARAMETERS)
+ * @returns {number} 1 all converted (or a dry run with work to do), 2 partially converted, 3 nothing to do, -1 failed
+ */
+export function runPgsToSrt(host, params) {
+    let {
+        TrackLanguageFilter, OcrLanguage, TesseractPath, MuxToMkv, FilterOutEngForeign, SkipIfNoSubtitles,
+        FilePermissions, FileWaitMs, Blacklist, ShortThreshold, ExtendTo, OcrCacheDir, OcrCacheMaxAgeDays,
+        OcrCacheMaxSizeMb, ReplacePgs, MaxParallelOcr, MinQualityScore, RejectLowQuality, QualityWordList,
+        OcrCorrection, CorrectionRulesFile, OutputFormats, OcrLanguageMap, NameTemplate, IncludeSidecarSup,
+        AllowOverlap, PositionThreshold, ExistingSubtitles, TrackRules, TimingOffsetMs, FpsConversion, MinCueGapMs,
+        MaxCueDurationMs, MergeIdenticalCues, DetectLanguages, DetectSampleSize, WriteReport
+    } = params;
+    const log = host.log;
+    const fs = host.fs;
+    const variables = host.variables;
+    const tools = host.tools || {};
+
+    // --- Constants for PgsToSrt detection ---
+    const PGSTOSRT_INSTALL_DIR = tools.pgsToSrtDir || "/opt/pgstosrt";
+    const PGSTOSRT_EXECUTABLE = PGSTOSRT_INSTALL_DIR + "/PgsToSrt";
+    const PGSTOSRT_DLL_PATH = PGSTOSRT_INSTALL_DIR + "/PgsToSrt.dll";
+    const DEFAULT_TESSDATA_PATH = PGSTOSRT_INSTALL_DIR + "/tessdata";
+    const DEFAULT_OCR_CACHE_DIR = PGSTOSRT_INSTALL_DIR + "/ocr-cache";
+    const MKVMERGE_EXECUTABLE = tools.mkvmerge || "/usr/bin/mkvmerge";
+    const MKVEXTRACT_EXECUTABLE = tools.mkvextract || "/usr/bin/mkvextract";
+    const FFPROBE_EXECUTABLE = tools.ffprobe || "ffprobe";
+    const FFMPEG_EXECUTABLE = tools.ffmpeg || "ffmpeg";
+    // Containers mkvtoolnix cannot extract PGS from; ffprobe/ffmpeg handle these instead.
+    const FFPROBE_CONTAINER_EXTENSIONS = ["m2ts", "mts", "ts", "mp4", "m4v"];
+    const FILE_POLL_INTERVAL_MS = 250;
+    // PGS splits one subtitle over several display sets when it changes on screen; pieces this close together are one cue.
+    const IDENTICAL_CUE_MAX_GAP_MS = 250;
+    const SUBTITLE_OUTPUT_FORMATS = {
+        srt: { extension: "srt", codecId: "S_TEXT/UTF8", label: "SRT" },
+        ass: { extension: "ass", codecId: "S_TEXT/ASS", label: "ASS" },
+        vtt: { extension: "vtt", codecId: "S_TEXT/WEBVTT", label: "WebVTT" }
+    };
+    // "track" names subtitles taken from a container, "sup" names the result of a standalone SUP file.
+    const SUBTITLE_NAME_PRESETS = {
+        legacy: { track: "{base}.{lang3}.{default}.{forced}.{sdh}.{commentary}.{id}_{index}.pgs.{ext}", sup: "{base}.sup.{ext}" },
+        plex: { track: "{base}.{lang2}.{forced}.{sdh}.{ext}", sup: "{base}.{lang2}.{ext}" },
+        jellyfin: { track: "{base}.{lang3}.{default}.{forced}.{sdh}.{ext}", sup: "{base}.{lang3}.{ext}" },
+        kodi: { track: "{base}.{lang2}.{forced}.{ext}", sup: "{base}.{lang2}.{ext}" }
+    };
+    const SUBTITLE_NAME_TOKENS = ["base", "lang2", "lang3", "default", "forced", "sdh", "commentary", "title", "id", "index", "ext"];
+    // MKV stores ISO 639-2/B codes, Tesseract names its traineddata after ISO 639-2/T (plus script variants).
+    const ISO_639_2B_TO_TESSERACT = {
+        alb: "sqi", arm: "hye", baq: "eus", bur: "mya", chi: "chi_sim", zho: "chi_sim", cze: "ces", dut: "nld",
+        fre: "fra", geo: "kat", ger: "deu", gre: "ell", ice: "isl", mac: "mkd", mao: "mri", may: "msa",
+        per: "fas", rum: "ron", slo: "slk", tib: "bod", wel: "cym", nob: "nor", nno: "nor", kur: "kmr", tgl: "tgl"
+    };
+    // Primary subtags of IETF tags (language_ietf), e.g. "pt" in "pt-BR".
+    const ISO_639_1_TO_TESSERACT = {
+        af: "afr", am: "amh", ar: "ara", az: "aze", be: "bel", bg: "bul", bn: "ben", bo: "bod", bs: "bos", ca: "cat",
+        cs: "ces", cy: "cym", da: "dan", de: "deu", el: "ell", en: "eng", eo: "epo", es: "spa", et: "est", eu: "eus",
+        fa: "fas", fi: "fin", fo: "fao", fr: "fra", ga: "gle", gl: "glg", gu: "guj", he: "heb", hi: "hin", hr: "hrv",
+        hu: "hun", hy: "hye", id: "ind", is: "isl", it: "ita", ja: "jpn", jv: "jav", ka: "kat", kk: "kaz", km: "khm",
+        kn: "kan", ko: "kor", la: "lat", lo: "lao", lt: "lit", lv: "lav", mk: "mkd", ml: "mal", mn: "mon", mr: "mar",
+        ms: "msa", mt: "mlt", my: "mya", nb: "nor", ne: "nep", nl: "nld", nn: "nor", no: "nor", pa: "pan", pl: "pol",
+        pt: "por", ro: "ron", ru: "rus", si: "sin", sk: "slk", sl: "slv", sq: "sqi", sr: "srp", sv: "swe", sw: "swa",
+        ta: "tam", te: "tel", th: "tha", tl: "tgl", tr: "tur", uk: "ukr", ur: "urd", uz: "uzb", vi: "vie", yi: "yid",
+        zh: "chi_sim"
+    };
+    // Option spellings differ between PgsToSrt builds; the first spelling found in --help wins.
+    const PGSTOSRT_OPTION_SPELLINGS = {
+        input: ["input"],
+        output: ["output"],
+        language: ["tesseract-language", "tesseractlanguage"],
+        data: ["tesseract-data", "tesseractdata"],
+        tesseractVersion: ["tesseract-version", "tesseractversion"],
+        leptName: ["liblept-name", "libleptname"],
+        leptVersion: ["liblept-version", "libleptversion"],
+        blacklist: ["character-blacklist", "blacklist"],
+        shortThreshold: ["short-threshold"],
+        extendTo: ["extend-to"],
+        allowOverlap: ["allow-overlap"],
+        positionThreshold: ["position-threshold"]
+    };
+    const TEXT_SUBTITLE_CODEC_IDS = ["S_TEXT/UTF8", "S_TEXT/ASS", "S_TEXT/SSA", "S_TEXT/WEBVTT", "S_TEXT/USF"];
+    const TEXT_SUBTITLE_FFPROBE_CODECS = ["subrip", "srt", "ass", "ssa", "webvtt", "mov_text", "text"];
+    const TEXT_SUBTITLE_EXTENSIONS = ["srt", "ass", "ssa", "vtt"];
+    const EXISTING_SUBTITLE_POLICIES = ["skip", "replace", "always"];
+    const TRACK_RULE_ACTIONS = ["include", "exclude", "best"];
+    const TRACK_RULE_CONDITIONS = ["language", "ietf", "name", "forced", "default", "commentary", "hearingImpaired", "minFrames", "maxFrames", "minBytes", "maxBytes"];
+    // Punctuation that legitimately shows up in subtitles; anything else non-alphanumeric counts as OCR noise.
+    const SUBTITLE_PUNCTUATION = ".,!?;:'\"-–—…()[]♪♫¿¡«»„“”‘’&%$€£#/*+=@、。，！？：；（）「」『』・～";
+
+    // Detect which PgsToSrt version is available
+    let pgsToSrtMode = "none";
+    if (fs.fileExists(PGSTOSRT_EXECUTABLE)) {
+        pgsToSrtMode = "executable";
+        log.info(`Found PgsToSrt standalone executable: ${PGSTOSRT_EXECUTABLE}`);
+    } else if (fs.fileExists(PGSTOSRT_DLL_PATH)) {
+        pgsToSrtMode = "dll";
+        log.info(`Found PgsToSrt .dll: ${PGSTOSRT_DLL_PATH}`);
+    } else if (host.dryRun) {
+        log.warn(`No PgsToSrt installation found in ${PGSTOSRT_INSTALL_DIR}. Continuing because this is a dry run.`);
+    } else {
+        log.error("No PgsToSrt installation found. Checked executable and dll.");
+        return -1;
+    }
+
+    function safeString(param, defaultValue = "") {
+        if (param === undefined || param === null) {
+            return defaultValue;
+        }
+        return String(param);
+    }
+
+    function safeInt(param, defaultValue = 0) {
+        if (param === undefined || param === null) {
+            return defaultValue;
+        }
+        const parsed = parseInt(param, 10);
+        return isNaN(parsed) ? defaultValue : parsed;
+    }
+
+    // Parameter Initialization
+    if (TrackLanguageFilter === undefined || TrackLanguageFilter === null) {
+        TrackLanguageFilter = "eng"; 
+    } else {
+        TrackLanguageFilter = String(TrackLanguageFilter); 
+    }
+
+    OcrLanguage = safeString(OcrLanguage, "eng"); 
+    TesseractPath = safeString(TesseractPath, DEFAULT_TESSDATA_PATH);
+    MuxToMkv = MuxToMkv === undefined ? true : MuxToMkv !== false;
+    FilterOutEngForeign = FilterOutEngForeign === undefined ? false : FilterOutEngForeign === true;
+    ReplacePgs = ReplacePgs === true;
+    IncludeSidecarSup = IncludeSidecarSup !== false;
+    WriteReport = WriteReport === true;
+    SkipIfNoSubtitles = SkipIfNoSubtitles !== false;
+    FilePermissions = safeString(FilePermissions, "0666");
+    FileWaitMs = Math.max(0, safeInt(FileWaitMs, 5000));
+    Blacklist = safeString(Blacklist, "");
+    ShortThreshold = safeInt(ShortThreshold, 300);
+    ExtendTo = safeInt(ExtendTo, 1200);
+    AllowOverlap = AllowOverlap !== false;
+    PositionThreshold = safeInt(PositionThreshold, 50);
+    TimingOffsetMs = safeInt(TimingOffsetMs, 0);
+    MinCueGapMs = Math.max(0, safeInt(MinCueGapMs, 0));
+    MaxCueDurationMs = Math.max(0, safeInt(MaxCueDurationMs, 0));
+    MergeIdenticalCues = MergeIdenticalCues === true;
+    let fpsRatio = parseFpsConversion(safeString(FpsConversion, "").trim());
+    ExistingSubtitles = safeString(ExistingSubtitles, "skip").trim().toLowerCase() || "skip";
+    if (EXISTING_SUBTITLE_POLICIES.indexOf(ExistingSubtitles) < 0) {
+        log.warn(`Unknown ExistingSubtitles policy '${ExistingSubtitles}'. Supported: ${EXISTING_SUBTITLE_POLICIES.join(', ')}. Using 'skip'.`);
+        ExistingSubtitles = "skip";
+    }
+    if (OcrCacheDir === undefined || OcrCacheDir === null) {
+        OcrCacheDir = DEFAULT_OCR_CACHE_DIR;
+    } else {
+        OcrCacheDir = String(OcrCacheDir).trim();
+    }
+    OcrCacheMaxAgeDays = safeInt(OcrCacheMaxAgeDays, 90);
+    OcrCacheMaxSizeMb = safeInt(OcrCacheMaxSizeMb, 500);
+    MaxParallelOcr = Math.max(1, safeInt(MaxParallelOcr, 2));
+    MinQualityScore = safeInt(MinQualityScore, 50);
+    RejectLowQuality = RejectLowQuality === true;
+    QualityWordList = safeString(QualityWordList, "").trim();
+    OcrCorrection = OcrCorrection !== false;
+    CorrectionRulesFile = safeString(CorrectionRulesFile, "").trim();
+    let outputFormatList = safeString(OutputFormats, "srt").toLowerCase().split(',').map(f => f.trim()).filter(f => f);
+    outputFormatList.filter(f => !SUBTITLE_OUTPUT_FORMATS[f]).forEach(f => log.warn(`Ignoring unknown output format '${f}'. Supported: ${Object.keys(SUBTITLE_OUTPUT_FORMATS).join(', ')}.`));
+    outputFormatList = outputFormatList.filter((f, i) => SUBTITLE_OUTPUT_FORMATS[f] && outputFormatList.indexOf(f) === i);
+    if (outputFormatList.length === 0) outputFormatList = ["srt"];
+
+    let ocrLanguageOverrides = {};
+    safeString(OcrLanguageMap, "").split(',').map(pair => pair.trim()).filter(pair => pair).forEach(pair => {
+        let separator = pair.indexOf('=');
+        if (separator <= 0 || !isTesseractLanguageSpec(pair.substring(separator + 1).trim())) {
+            log.warn(`Ignoring OcrLanguageMap entry '${pair}'. Expected "tag=traineddata", e.g. "jpn=jpn+eng".`);
+            return;
+        }
+        ocrLanguageOverrides[pair.substring(0, separator).trim().toLowerCase()] = pair.substring(separator + 1).trim().toLowerCase();
+    });
+
+    let subtitleNameTemplate = resolveSubtitleNameTemplate(safeString(NameTemplate, "legacy").trim());
+
+    let trackRules = parseTrackRules(safeString(TrackRules, "").trim());
+    if (!trackRules) {
+        return -1;
+    }
+
+    let pgsToSrtCapabilities = null;
+    let qualityWordLists = {};
+    let trainedDataPresence = {};
+    let correctionRules = null;
+    DetectSampleSize = Math.max(1, safeInt(DetectSampleSize, 20));
+    let languageDetectionCandidates = parseLanguageDetectionCandidates(safeString(DetectLanguages, ""));
+
+    let workingFile = host.workingFile;
+    let currentWorkingFile = workingFile;
+    let originalFileNameForOutput = host.originalFile;
+    if (!originalFileNameForOutput) {
+        log.warn("Original file is undefined. Falling back to the working file for output path base.");
+        originalFileNameForOutput = workingFile;
+    }
+    let fileExt = workingFile.substring(workingFile.lastIndexOf('.') + 1).toLowerCase();
+    // Tracks are added as they are found; each carries a "report" with what happened to it.
+    let jobReport = { startedAt: new Date(), tracks: [], errors: [] };
+
+    log.info("=== PGS/SUP TO SRT CONVERTER (OCR) SCRIPT (UPDATED FOR NEW PGSTOSRT) ===");
+    log.info(`Working File (temp): ${workingFile}`);
+    log.info(`Original File (for output ref): ${originalFileNameForOutput}`);
+    log.info(`OCR Language for PgsToSrt: ${OcrLanguage}`);
+    log.info(`Tesseract Data Path for PgsToSrt: ${TesseractPath}`);
+    if (Object.keys(ocrLanguageOverrides).length > 0) {
+        log.info(`OCR language overrides: ${Object.keys(ocrLanguageOverrides).map(tag => `${tag}=${ocrLanguageOverrides[tag]}`).join(', ')}`);
+    }
+    if (languageDetectionCandidates.length > 0) {
+        log.info(`Language detection for untagged tracks: ${languageDetectionCandidates.join(', ')} (${DetectSampleSize} subtitle images per language)`);
+    }
+    log.info(`PgsToSrt Mode: ${pgsToSrtMode}`);
+    log.info(`External subtitle name template: ${subtitleNameTemplate.track}`);
+    if (Blacklist && Blacklist.trim() !== "") {
+        log.info(`Character blacklist for OCR: '${Blacklist}'`);
+    }
+    if (ShortThreshold > 0 && ExtendTo > 0) {
+        log.info(`Short subtitle extension: subtitles < ${ShortThreshold}ms will be extended to ${ExtendTo}ms`);
+    } else {
+        log.info("Short subtitle extension: disabled");
+    }
+    let timingSteps = describeTimingStage();
+    log.info(`Timing adjustments: ${timingSteps.length > 0 ? timingSteps.join(', ') : 'none'}`);
+    log.info(`Overlapping subtitles: ${AllowOverlap ? `kept apart when more than ${PositionThreshold}px apart` : 'merged'}`);
+    if (pgsToSrtMode !== "none" && !checkPgsToSrtCapabilities()) {
+        jobReport.errors.push("PgsToSrt does not support a requested option.");
+        return finishJob(-1);
+    }
+    if (OcrCacheDir) {
+        log.info(`OCR cache: ${OcrCacheDir} (max age: ${OcrCacheMaxAgeDays > 0 ? OcrCacheMaxAgeDays + ' days' : 'unlimited'}, max size: ${OcrCacheMaxSizeMb > 0 ? OcrCacheMaxSizeMb + ' MB' : 'unlimited'})`);
+        if (!host.dryRun) prepareOcrCache();
+    } else {
+        log.info("OCR cache: disabled");
+    }
+    if (MinQualityScore > 0) {
+        log.info(`OCR quality gate: minimum score ${MinQualityScore}, low-quality SRTs are ${RejectLowQuality ? 'rejected' : 'flagged only'}${QualityWordList ? `, word list: ${QualityWordList}` : ''}`);
+    } else {
+        log.info("OCR quality gate: disabled");
+    }
+    if (OcrCorrection) {
+        log.info(`OCR text correction: enabled${CorrectionRulesFile ? ` (extra rules: ${CorrectionRulesFile})` : ''}`);
+    } else {
+        log.info("OCR text correction: disabled");
+    }
+    log.info(`Output formats: ${outputFormatList.join(', ')}`);
+    if (MuxToMkv && fileExt === "mkv") log.info("MUX TO MKV ENABLED for MKV input.");
+    if (MuxToMkv && ReplacePgs && fileExt === "mkv") log.info("REPLACE PGS ENABLED: converted PGS tracks will be replaced by their SRTs.");
+    if (MuxToMkv && FFPROBE_CONTAINER_EXTENSIONS.indexOf(fileExt) >= 0) log.info(`Note: MuxToMkv is true, but input is ${fileExt.toUpperCase()}. Output will be external subtitle files.`);
+    if (FilterOutEngForeign) log.info("FILTER ENG FOREIGN ENABLED.");
+    log.info(`Sidecar SUP discovery: ${IncludeSidecarSup ? 'enabled' : 'disabled'}`);
+    log.info(`Existing text subtitles: ${ExistingSubtitles}`);
+    if (trackRules.length > 0) log.info(`Track selection rules: ${trackRules.length}`);
+
+    const mkvTrackLangFilterArray = TrackLanguageFilter.trim() ? 
+        TrackLanguageFilter.toLowerCase().split(',').map(l => l.trim()).filter(l => l) :
+        [];
+
+    if (mkvTrackLangFilterArray.length > 0) {
+        log.info(`Filtering MKV PGS tracks for languages: ${mkvTrackLangFilterArray.join(', ')} (and 'und'etermined)`);
+    } else {
+        log.info("No MKV Track Language Filter specified: all PGS tracks will be considered (subject to other filters).");
+    }
+
+    if (fileExt === "mkv" || FFPROBE_CONTAINER_EXTENSIONS.indexOf(fileExt) >= 0) {
+        return finishJob(processVideoFile());
+    } else if (fileExt === "sup") {
+        if (MuxToMkv) log.info("Note: MuxToMkv is true, but input is a standalone SUP. Output will be an external SRT.");
+        return finishJob(processSupFile(workingFile, originalFileNameForOutput));
+    } else {
+        log.warn(`Unsupported file type: '${fileExt}'. Supported: MKV, ${FFPROBE_CONTAINER_EXTENSIONS.map(ext => ext.toUpperCase()).join(', ')}, SUP.`);
+        return finishJob(SkipIfNoSubtitles ? 1 : -1);
+    }
+
+    function processVideoFile() {
+        let containerTracks = fileExt === "mkv" ? listMkvPgsTracks() : listFfprobePgsTracks();
+        if (!containerTracks) {
+            jobReport.errors.push(`Could not list the subtitle tracks of the ${fileExt.toUpperCase()}.`);
+            return -1;
+        }
+
+        let pgsTracksFound = containerTracks.pgsTracks;
+        if (pgsTracksFound.length === 0) {
+            log.warn(`No PGS subtitle tracks found in the ${fileExt.toUpperCase()}.`);
+        }
+        if (IncludeSidecarSup) {
+            pgsTracksFound = pgsTracksFound.concat(findSidecarSupTracks());
+        }
+
+        if (pgsTracksFound.length === 0) {
+            return SkipIfNoSubtitles ? 1 : -1;
+        }
+
+        log.info(`Found ${pgsTracksFound.length} raw PGS tracks. Applying filters...`);
+        pgsTracksFound.forEach(track => {
+            track.selection = { kept: true, reason: 'no filter or rule matched' };
+            track.report = newTrackReport();
+        });
+        jobReport.tracks = pgsTracksFound;
+        let currentFilteredTracks = pgsTracksFound;
+
+        if (mkvTrackLangFilterArray.length > 0) {
+            const countBefore = currentFilteredTracks.length;
+            currentFilteredTracks = currentFilteredTracks.filter(track => {
+                let trackLangSimple = track.language.substring(0, 2);
+                let kept = mkvTrackLangFilterArray.includes(track.language) || mkvTrackLangFilterArray.includes(trackLangSimple) || track.language === "und";
+                track.selection = kept ? { kept: true, reason: track.language === "und" ? 'TrackLanguageFilter lets und through' : 'TrackLanguageFilter' } : { kept: false, reason: 'TrackLanguageFilter' };
+                return kept;
+            });
+            log.info(`Tracks after MKV Track Language filter ('${TrackLanguageFilter}'): ${currentFilteredTracks.length} (was ${countBefore}).`);
+        }
+        
+        if (FilterOutEngForeign) {
+            const countBeforeEngForeign = currentFilteredTracks.length;
+            currentFilteredTracks = currentFilteredTracks.filter(track => {
+                const isEnglish = track.language === "eng" || track.language.substring(0,2) === "en";
+                const isMarkedForeign = track.trackName && /\(foreign\)/i.test(track.trackName.toLowerCase());
+                if (isEnglish && isMarkedForeign) {
+                    log.info(`Excluding PGS Track ID ${track.id} (Name: "${track.trackName}", Lang: ${track.language}) due to "FilterOutEngForeign".`);
+                    track.selection = { kept: false, reason: 'FilterOutEngForeign' };
+                    return false;
+                }
+                return true;
+            });
+            log.info(`Tracks after 'FilterOutEngForeign' filter: ${currentFilteredTracks.length} (was ${countBeforeEngForeign}).`);
+        }
+        
+        if (trackRules.length > 0) {
+            currentFilteredTracks = applyTrackRules(currentFilteredTracks);
+        }
+
+        let finalFilteredTracks = currentFilteredTracks;
+        if (finalFilteredTracks.length === 0) {
+            logTrackSelection(pgsTracksFound);
+            log.warn("No PGS tracks remain after all filters.");
+            return SkipIfNoSubtitles ? 1 : -1;
+        }
+
+        let muxing = MuxToMkv && fileExt === "mkv";
+        let existingSubtitles = applyExistingSubtitlePolicy(finalFilteredTracks, containerTracks.textTracks, muxing);
+        finalFilteredTracks = existingSubtitles.tracks;
+        // Logged after ExistingSubtitles, the last selection stage, so the table shows what is actually converted.
+        logTrackSelection(pgsTracksFound);
+        if (finalFilteredTracks.length === 0) {
+            log.info("Every selected PGS track already has a text subtitle. Nothing to do.");
+            return 1;
+        }
+
+        log.info(`Attempting to process ${finalFilteredTracks.length} PGS subtitle tracks.`);
+        let baseNameForTempFiles = workingFile.substring(workingFile.lastIndexOf(host.isWindows ? '\\' : '/') + 1, workingFile.lastIndexOf('.'));
+        let srtFilesDataForProcessing = [];
+
+        let tracksToExtract = finalFilteredTracks.filter(track => {
+            track.ocrLanguage = resolveInstalledOcrLanguage(resolveTrackOcrLanguage(track), `track ${track.id}`);
+            if (!track.ocrLanguage) {
+                log.error(`Skipping PGS Track ID ${track.id}: no usable Tesseract traineddata for it.`);
+                track.report.errors.push("No usable Tesseract traineddata.");
+                return false;
+            }
+            return true;
+        });
+
+        if (host.dryRun) {
+            tracksToExtract.forEach(track => log.info(`Dry run: would convert PGS track ${track.id} (Lang: ${track.language}) with OCR language '${track.ocrLanguage}'${track.detectLanguage ? ' or the detected one' : ''}.`));
+            return tracksToExtract.length > 0 ? 1 : -1;
+        }
+
+        let extractStarted = Date.now();
+        let extractedTracks = extractPgsTracks(tracksToExtract, baseNameForTempFiles);
+        // All tracks come out of one extraction pass, so they share its duration.
+        let extractMs = Date.now() - extractStarted;
+        tracksToExtract.forEach(track => {
+            if (extractedTracks.some(extracted => extracted.track === track)) track.report.extractMs = extractMs;
+            else track.report.errors.push("Extraction failed.");
+        });
+        extractedTracks.filter(extracted => extracted.track.detectLanguage).forEach(extracted => {
+            detectTrackLanguage(extracted.track, extracted.supFilePath, `${baseNameForTempFiles}.${extracted.track.id}_${extracted.processingIndex}`);
+        });
+
+        let ocrJobs = extractedTracks.map(extracted => {
+            let langForOcrTool = extracted.track.ocrLanguage;
+            let job = {
+                track: extracted.track,
+                processingIndex: extracted.processingIndex,
+                supFilePath: extracted.supFilePath,
+                baseNameForSrt: `${baseNameForTempFiles}.${extracted.track.id}_${extracted.processingIndex}`,
+                ocrLanguage: langForOcrTool,
+                label: `track ${extracted.track.id}`,
+                cacheEntryPath: null,
+                srtPath: null
+            };
+            if (OcrCacheDir) {
+                let cached = lookupOcrCache(job.supFilePath, `${host.tempPath}/${job.baseNameForSrt}.srt`, job.ocrLanguage, job.label);
+                job.cacheEntryPath = cached.entryPath;
+                job.srtPath = cached.srtPath;
+                job.track.report.ocrCached = !!cached.srtPath;
+            }
+            return job;
+        });
+
+        runOcrJobs(ocrJobs.filter(job => !job.srtPath));
+
+        for (let job of ocrJobs) {
+            job.track.report.ocrMs = job.ocrMs || 0;
+            if (job.srtPath && fs.fileExists(job.srtPath)) {
+                log.info(`Temporary SRT created for track ${job.track.id}: ${job.srtPath}`);
+                postProcessSrt(job.srtPath, job.ocrLanguage, job.label);
+                let displaySets = loadPgsDisplaySets(job.supFilePath, job.label);
+                if (passesQualityGate(job.srtPath, displaySets, job.ocrLanguage, job.label, job.track.id)) {
+                    displaySets = applyTimingStage(job.srtPath, displaySets, job.label);
+                    job.track.report.cues = countSrtCues(job.srtPath);
+                    let srtData = { srtPath: job.srtPath, originalTrackData: job.track, processingIndex: job.processingIndex };
+                    srtData.outputs = createOutputFiles(job.srtPath, displaySets, job.label);
+                    srtFilesDataForProcessing.push(srtData);
+                } else {
+                    job.track.report.errors.push(`OCR quality score below the minimum of ${MinQualityScore}.`);
+                    try { fs.delete(job.srtPath); } catch (e) {}
+                }
+            } else {
+                log.error(`Failed to convert SUP to SRT for track ${job.track.id} from ${job.supFilePath}.`);
+                job.track.report.errors.push("OCR failed: PgsToSrt produced no SRT.");
+            }
+            try { if (fs.fileExists(job.supFilePath)) fs.delete(job.supFilePath); } 
+            catch (eDelSup) { log.warn(`Could not delete temp SUP file ${job.supFilePath}: ${eDelSup.message}`); }
+        }
+
+        if (srtFilesDataForProcessing.length === 0) {
+            log.info("No SRT files were generated from PGS tracks for further processing.");
+            return finalFilteredTracks.length > 0 ? -1 : 1; 
+        }
+
+        let finalOutputWorkingFile = workingFile; 
+        let overallSuccess = false;
+
+        if (muxing) {
+            let muxInputs = [];
+            srtFilesDataForProcessing.forEach(srtData => srtData.outputs.forEach(output => muxInputs.push({ srtData: srtData, output: output })));
+            log.info(`MuxToMkv is true. Attempting to mux ${muxInputs.length} subtitle file(s) from ${srtFilesDataForProcessing.length} PGS track(s) into MKV.`);
+            let muxedOutputTempMkv = `${host.tempPath}/${baseNameForTempFiles}_muxed_pgs.mkv`;
+            let mkvmergeArgs = ['-o', muxedOutputTempMkv];
+            let removedIds = existingSubtitles.replacedTextTrackIds.slice();
+            if (removedIds.length > 0) {
+                log.info(`Removing text subtitle track(s) ${removedIds.join(', ')} made by an earlier run; they are replaced by this run's conversions.`);
+            }
+            if (ReplacePgs) {
+                let replacedIds = srtFilesDataForProcessing.filter(sfd => !sfd.originalTrackData.sidecarPath).map(sfd => sfd.originalTrackData.id);
+                log.info(`ReplacePgs is true. Removing converted PGS track(s) ${replacedIds.join(', ')} from the muxed file.`);
+                removedIds = removedIds.concat(replacedIds);
+            }
+            if (removedIds.length > 0) {
+                mkvmergeArgs.push('--subtitle-tracks', `!${removedIds.join(',')}`);
+            }
+            mkvmergeArgs.push(finalOutputWorkingFile);
+
+            for (let muxInput of muxInputs) {
+                let srtData = muxInput.srtData;
+                let formatLabel = SUBTITLE_OUTPUT_FORMATS[muxInput.output.format].label;
+                srtData.muxLanguage = muxLanguageFor(srtData.originalTrackData);
+                mkvmergeArgs.push('--language', `0:${srtData.muxLanguage}`);
+                let srtTrackName = srtData.originalTrackData.trackName ? `${srtData.originalTrackData.trackName} (${formatLabel} from PGS)` : `PGS Track ${srtData.originalTrackData.id} (${formatLabel})`;
+                if (ReplacePgs && !srtData.originalTrackData.sidecarPath) srtTrackName = srtData.originalTrackData.sourceTrackName;
+                if (srtTrackName) mkvmergeArgs.push('--track-name', `0:${srtTrackName}`);
+                muxInput.trackName = srtTrackName || null;
+                pushTrackFlagArgs(mkvmergeArgs, srtData.originalTrackData.flags);
+                mkvmergeArgs.push(muxInput.output.path);
+            }
+
+            let expectedLayout = null;
+            if (ReplacePgs) {
+                let keptSourceTracks = containerTracks.sourceTracks.filter(track => existingSubtitles.replacedTextTrackIds.indexOf(track.id.toString()) < 0);
+                let replacement = buildReplacementTrackOrder(keptSourceTracks, muxInputs);
+                mkvmergeArgs.push('--track-order', replacement.trackOrder);
+                expectedLayout = replacement.expectedLayout;
+            }
+            
+            log.info(`Executing mkvmerge for muxing. Output: ${muxedOutputTempMkv}`);
+            let muxResult = host.execute({ command: MKVMERGE_EXECUTABLE, argumentList: mkvmergeArgs });
+            let muxSucceeded = muxResult.exitCode === 0 && fs.fileExists(muxedOutputTempMkv);
+            if (muxSucceeded && expectedLayout && !verifyMuxedTrackLayout(muxedOutputTempMkv, expectedLayout)) {
+                log.error("Muxed file failed track verification after replacing PGS tracks. Keeping the original file.");
+                muxSucceeded = false;
+            }
+
+            if (muxSucceeded) {
+                log.info("Muxing successful. Updating working file.");
+                muxInputs.forEach(muxInput => muxInput.srtData.originalTrackData.report.outputs.push({ format: muxInput.output.format, muxedTrackName: muxInput.trackName, language: muxInput.srtData.muxLanguage }));
+                setWorkingFile(muxedOutputTempMkv); 
+                log.info(`Working file updated to muxed version: ${muxedOutputTempMkv}`);
+                overallSuccess = true;
+                // Only a temporary copy is deleted; when the host hands over the original itself, it stays.
+                if (workingFile !== muxedOutputTempMkv && workingFile !== originalFileNameForOutput && fs.fileExists(workingFile)) {
+                     try { fs.delete(workingFile); log.info(`Deleted the temporary copy of the source MKV: ${workingFile}`);}
+                     catch(eDelOrigTemp) { log.warn(`Could not delete the temporary copy of the source MKV ${workingFile}: ${eDelOrigTemp.message}`);}
+                }
+            } else {
+                log.error(`Mkvmerge for muxing failed. Exit: ${muxResult.exitCode}. Stderr: ${muxResult.standardError || 'N/A'}`);
+                log.warn("Falling back to creating external SRT files.");
+                jobReport.errors.push(`Muxing failed (mkvmerge exit code ${muxResult.exitCode}); subtitles were saved externally instead.`);
+                if (fs.fileExists(muxedOutputTempMkv)) try {fs.delete(muxedOutputTempMkv);}catch(e){} 
+                overallSuccess = copySrtsExternallyAndCleanup(srtFilesDataForProcessing, originalFileNameForOutput) > 0;
+                setWorkingFile(workingFile);
+            }
+        } else { 
+            log.info(MuxToMkv ? `Input is ${fileExt.toUpperCase()}, not MKV. Creating external SRT files.` : "MuxToMkv is false. Creating external SRT files.");
+            overallSuccess = copySrtsExternallyAndCleanup(srtFilesDataForProcessing, originalFileNameForOutput) > 0;
+            setWorkingFile(workingFile);
+        }
+        
+        srtFilesDataForProcessing.forEach(sfd => {
+             [sfd.srtPath].concat(sfd.outputs.map(output => output.path)).forEach(tempPath => {
+                 try { if(fs.fileExists(tempPath)) fs.delete(tempPath); } 
+                 catch (e) { log.warn(`Final cleanup: Could not delete temp subtitle: ${tempPath} - ${e.message}`); }
+             });
+        });
+
+        return overallSuccess ? 1 : -1;
+    }
+    
+    function listMkvPgsTracks() {
+        log.info("MKV file detected. Identifying PGS subtitle tracks...");
+        let mkvMergeIdResult = host.execute({
+            command: MKVMERGE_EXECUTABLE,
+            argumentList: ["-i", "-F", "json", workingFile]
+        });
+
+        if (mkvMergeIdResult.exitCode !== 0) {
+            log.error(`Failed to get track info (mkvmerge). Exit: ${mkvMergeIdResult.exitCode}. Stderr: ${mkvMergeIdResult.standardError || 'N/A'}`);
+            return null;
+        }
+
+        let tracksInfoJson;
+        try {
+            tracksInfoJson = JSON.parse(mkvMergeIdResult.output);
+        } catch (e) {
+            log.error(`Failed to parse mkvmerge JSON: ${e.message}. Output: ${mkvMergeIdResult.output}`);
+            return null;
+        }
+
+        let pgsTracks = [];
+        let textTracks = [];
+        if (tracksInfoJson && tracksInfoJson.tracks) {
+            tracksInfoJson.tracks.forEach(track => {
+                if (track.type === "subtitles" && (track.codec === "HDMV PGS" || track.codec_id === "S_HDMV/PGS")) {
+                    let trackId = track.id;
+                    let sourceTrackName = track.properties && track.properties.track_name ? track.properties.track_name : '';
+                    let trackName = sourceTrackName || 'Untitled PGS Track';
+                    let lang = track.properties && track.properties.language ? track.properties.language.toLowerCase() : "und";
+                    let langIETF = track.properties ? (track.properties.language_ietf || track.properties.language || 'N/A') : 'N/A';
+                    let flags = readTrackFlags(track.properties);
+                    pgsTracks.push({
+                        id: trackId.toString(), language: lang, originalLanguageTag: langIETF, trackName: trackName, sourceTrackName: sourceTrackName, flags: flags, sidecarPath: null,
+                        frames: readCountTag(track.properties, "tag_number_of_frames"), bytes: readCountTag(track.properties, "tag_number_of_bytes")
+                    });
+                    log.info(`PGS Track ID ${trackId} (Name: "${trackName}", Lang: ${lang}) flags: ${describeTrackFlags(flags)}`);
+                } else if (track.type === "subtitles" && TEXT_SUBTITLE_CODEC_IDS.indexOf(track.codec_id || (track.properties && track.properties.codec_id)) >= 0) {
+                    let props = track.properties || {};
+                    textTracks.push({ id: track.id.toString(), language: props.language ? props.language.toLowerCase() : "und", name: props.track_name || '', forced: props.forced_track === true });
+                }
+            });
+        }
+
+        return { pgsTracks: pgsTracks, textTracks: textTracks, sourceTracks: (tracksInfoJson && tracksInfoJson.tracks) || [] };
+    }
+
+    function listFfprobePgsTracks() {
+        log.info(`${fileExt.toUpperCase()} file detected. Identifying PGS subtitle streams (ffprobe)...`);
+        let probeResult = host.execute({
+            command: FFPROBE_EXECUTABLE,
+            argumentList: ["-v", "error", "-show_streams", "-select_streams", "s", "-of", "json", workingFile]
+        });
+
+        if (probeResult.exitCode !== 0) {
+            log.error(`Failed to get stream info (ffprobe). Exit: ${probeResult.exitCode}. Stderr: ${probeResult.standardError || 'N/A'}`);
+            return null;
+        }
+
+        let probeJson;
+        try {
+            probeJson = JSON.parse(probeResult.output);
+        } catch (e) {
+            log.error(`Failed to parse ffprobe JSON: ${e.message}. Output: ${probeResult.output}`);
+            return null;
+        }
+
+        let pgsTracks = [];
+        let textTracks = [];
+        (probeJson.streams || []).forEach(stream => {
+            let tags = stream.tags || {};
+            if (TEXT_SUBTITLE_FFPROBE_CODECS.indexOf(stream.codec_name) >= 0) {
+                textTracks.push({ id: stream.index.toString(), language: tags.language ? tags.language.toLowerCase() : "und", name: tags.title || '', forced: !!stream.disposition && stream.disposition.forced === 1 });
+            }
+            if (stream.codec_name !== "hdmv_pgs_subtitle") {
+                return;
+            }
+            let disposition = stream.disposition || {};
+            let sourceTrackName = tags.title || '';
+            let trackName = sourceTrackName || 'Untitled PGS Track';
+            let lang = tags.language ? tags.language.toLowerCase() : "und";
+            let flags = {
+                default: disposition.default === 1,
+                forced: disposition.forced === 1,
+                hearingImpaired: disposition.hearing_impaired === 1,
+                commentary: disposition.comment === 1,
+                original: disposition.original === 1
+            };
+            // Matroska statistics tags, when ffprobe reads an MKV-style source; M2TS carries none.
+            pgsTracks.push({
+                id: stream.index.toString(), language: lang, originalLanguageTag: lang, trackName: trackName, sourceTrackName: sourceTrackName, flags: flags, sidecarPath: null,
+                frames: readCountTag(tags, "NUMBER_OF_FRAMES"), bytes: readCountTag(tags, "NUMBER_OF_BYTES")
+            });
+            log.info(`PGS Stream #${stream.index} (Name: "${trackName}", Lang: ${lang}) flags: ${describeTrackFlags(flags)}`);
+        });
+        return { pgsTracks: pgsTracks, textTracks: textTracks, sourceTracks: [] };
+    }
+
+    function findSidecarSupTracks() {
+        return listSidecarFiles(originalFileNameForOutput, ["sup"]).map((sidecarPath, i) => {
+            let tags = readSidecarNameTags(sidecarPath, originalFileNameForOutput);
+            let track = {
+                id: `sidecar${i + 1}`,
+                language: tags.language,
+                originalLanguageTag: tags.languageTag,
+                trackName: tags.title || `Sidecar ${sidecarPath.substring(sidecarPath.lastIndexOf(host.isWindows ? '\\' : '/') + 1)}`,
+                sourceTrackName: tags.title,
+                flags: tags.flags,
+                sidecarPath: sidecarPath,
+                frames: null,
+                bytes: fs.fileSize(sidecarPath)
+            };
+            log.info(`Sidecar SUP ${sidecarPath} (Lang: ${track.language}) flags: ${describeTrackFlags(track.flags)}`);
+            return track;
+        });
+    }
+
+    function readCountTag(properties, tagName) {
+        let value = properties ? properties[tagName] : undefined;
+        let count = safeInt(value, -1);
+        return count >= 0 ? count : null;
+    }
+
+    function listSidecarFiles(mainFilePath, extensions) {
+        let separator = host.isWindows ? '\\' : '/';
+        let mainDir = mainFilePath.substring(0, mainFilePath.lastIndexOf(separator));
+        let mainBaseName = mainFilePath.substring(mainFilePath.lastIndexOf(separator) + 1, mainFilePath.lastIndexOf('.'));
+        if (!mainDir || !fs.directoryExists(mainDir)) {
+            return [];
+        }
+
+        // "<base>.*.<extension>", ignoring case on every platform (the listing pattern is case-sensitive on Linux).
+        let prefix = `${mainBaseName.toLowerCase()}.`;
+        return fs.listFiles(mainDir, "*").filter(path => {
+            let fileName = path.substring(path.lastIndexOf(separator) + 1).toLowerCase();
+            return fileName.startsWith(prefix) && extensions.some(extension => fileName.endsWith(`.${extension}`));
+        }).sort();
+    }
+
+    function readSidecarNameTags(sidecarPath, mainFilePath) {
+        // "Movie.en.forced.sup" next to "Movie.mkv": everything between the two names describes the subtitle.
+        let separator = host.isWindows ? '\\' : '/';
+        let mainBaseName = mainFilePath.substring(mainFilePath.lastIndexOf(separator) + 1, mainFilePath.lastIndexOf('.'));
+        let fileName = sidecarPath.substring(sidecarPath.lastIndexOf(separator) + 1);
+        let nameParts = fileName.substring(mainBaseName.length + 1, fileName.lastIndexOf('.')).split('.').filter(part => part);
+        let tags = {
+            language: "und",
+            languageTag: 'N/A',
+            title: '',
+            flags: { default: false, forced: false, hearingImpaired: false, commentary: false, original: false }
+        };
+        let titleParts = [];
+        nameParts.forEach(part => {
+            let lowerPart = part.toLowerCase();
+            let language = tags.language === "und" ? iso6392BFor(lowerPart) : null;
+            if (language) {
+                tags.language = language;
+                tags.languageTag = lowerPart;
+            } else if (lowerPart === "forced") {
+                tags.flags.forced = true;
+            } else if (["sdh", "hi", "cc"].indexOf(lowerPart) >= 0) {
+                tags.flags.hearingImpaired = true;
+            } else if (lowerPart === "default") {
+                tags.flags.default = true;
+            } else if (lowerPart === "commentary") {
+                tags.flags.commentary = true;
+            } else {
+                titleParts.push(part);
+            }
+        });
+        tags.title = titleParts.join(' ');
+        return tags;
+    }
+
+    function iso6392BFor(code) {
+        // Accepts ISO 639-1 and ISO 639-2 (B or T) codes, as found in sidecar file names; returns the MKV (B) form.
+        let tesseractLanguage = code.length === 2 ? ISO_639_1_TO_TESSERACT[code] : (ISO_639_2B_TO_TESSERACT[code] || code);
+        let isKnown = tesseractLanguage && (Object.keys(ISO_639_1_TO_TESSERACT).some(key => ISO_639_1_TO_TESSERACT[key] === tesseractLanguage) || ISO_639_2B_TO_TESSERACT[code]);
+        if (!isKnown || code.length < 2 || code.length > 3) {
+            return null;
+        }
+        return Object.keys(ISO_639_2B_TO_TESSERACT).find(key => ISO_639_2B_TO_TESSERACT[key] === tesseractLanguage) || tesseractLanguage;
+    }
+
+    function extractPgsTracks(tracks, baseNameForTempFiles) {
+        let targets = tracks.map((track, i) => {
+            let supFilePath = `${host.tempPath}/${baseNameForTempFiles}.${track.id}_${i}.sup`;
+            log.info(`Processing PGS Track ID ${track.id} (Name: "${track.trackName}", Lang: ${track.language}, Index: ${i}). Extracting to: ${supFilePath}`);
+            return { track: track, processingIndex: i, supFilePath: supFilePath };
+        });
+
+        let containerTargets = targets.filter(target => !target.track.sidecarPath);
+        let extracted = [];
+        if (containerTargets.length > 0) {
+            extracted = fileExt === "mkv" ? extractWithMkvextract(containerTargets) : extractWithFfmpeg(containerTargets);
+        }
+
+        // Sidecars are copied so the pipeline can delete its temporary SUP files as usual.
+        targets.filter(target => target.track.sidecarPath).forEach(target => {
+            try {
+                fs.copy(target.track.sidecarPath, target.supFilePath, true);
+                extracted.push(target);
+            } catch (eCopySidecar) {
+                log.error(`Failed to copy sidecar SUP ${target.track.sidecarPath} to ${target.supFilePath}: ${eCopySidecar.message}`);
+            }
+        });
+
+        return extracted.filter(target => {
+            if (!waitForStableFile(target.supFilePath)) {
+                log.error(`Extracted SUP file ${target.supFilePath} not found. Skipping track.`);
+                return false;
+            }
+            log.info(`Extracted ${baseNameForTempFiles}.${target.track.id}_${target.processingIndex}.sup`);
+            return true;
+        }).sort((a, b) => a.processingIndex - b.processingIndex);
+    }
+
+    function extractWithMkvextract(targets) {
+        // One mkvextract pass reads the container once, however many tracks are selected.
+        let extractResult = host.execute({
+            command: MKVEXTRACT_EXECUTABLE,
+            argumentList: ["tracks", workingFile].concat(targets.map(target => `${target.track.id}:${target.supFilePath}`))
+        });
+        return checkExtractResult(extractResult, targets, "mkvextract");
+    }
+
+    function extractWithFfmpeg(targets) {
+        // Likewise a single ffmpeg run with one output file per selected stream.
+        let ffmpegArgs = ["-v", "error", "-y", "-i", workingFile];
+        targets.forEach(target => ffmpegArgs.push("-map", `0:${target.track.id}`, "-c", "copy", target.supFilePath));
+        let extractResult = host.execute({ command: FFMPEG_EXECUTABLE, argumentList: ffmpegArgs });
+        return checkExtractResult(extractResult, targets, "ffmpeg");
+    }
+
+    function checkExtractResult(extractResult, targets, toolName) {
+        if (extractResult.exitCode !== 0) {
+            log.error(`${toolName} failed. Exit: ${extractResult.exitCode}. Stderr: ${extractResult.standardError || 'N/A'}`);
+            targets.forEach(target => {
+                log.error(`${toolName} failed for PGS track ${target.track.id}.`);
+                try { if (fs.fileExists(target.supFilePath)) fs.delete(target.supFilePath); } catch (e) {}
+            });
+            return [];
+        }
+        return targets.slice();
+    }
+
+    function waitForStableFile(filePath) {
+        // The file counts as complete once two polls in a row report the same size.
+        let waitedMs = 0;
+        let lastSize = -1;
+        while (true) {
+            let size = fs.fileExists(filePath) ? fs.fileSize(filePath) : -1;
+            if (size >= 0 && size === lastSize) {
+                return true;
+            }
+            if (waitedMs >= FileWaitMs) {
+                if (size >= 0) log.warn(`${filePath} was still changing after ${FileWaitMs}ms. Continuing anyway.`);
+                return size >= 0;
+            }
+            lastSize = size;
+            host.sleep(FILE_POLL_INTERVAL_MS);
+            waitedMs += FILE_POLL_INTERVAL_MS;
+        }
+    }
+
+    function runOcrJobs(jobs) {
+        if (jobs.length === 0) {
+            return;
+        }
+
+        if (MaxParallelOcr > 1 && jobs.length > 1 && !host.isWindows) {
+            runOcrJobsInParallel(jobs);
+        } else {
+            jobs.forEach(job => {
+                let started = Date.now();
+                job.srtPath = convertSupToSrt(job.supFilePath, job.baseNameForSrt, job.ocrLanguage);
+                job.ocrMs = Date.now() - started;
+            });
+        }
+
+        jobs.forEach(job => {
+            if (job.srtPath && job.cacheEntryPath) storeInOcrCache(job.cacheEntryPath, job.srtPath, job.label);
+        });
+    }
+
+    function runOcrJobsInParallel(jobs) {
+        log.info(`Running OCR for ${jobs.length} tracks with up to ${Math.min(MaxParallelOcr, jobs.length)} concurrent PgsToSrt processes.`);
+
+        // host.execute blocks, so a single shell runs the PgsToSrt processes through an xargs worker pool.
+        // Each job records its own exit code and output so results stay per track.
+        let jobScripts = jobs.map(job => {
+            let srtFilePath = `${host.tempPath}/${job.baseNameForSrt}.srt`;
+            let pgsToSrtArgs = buildPgsToSrtArgs(job.supFilePath, srtFilePath, resolveEffectiveOcrLanguage(job.ocrLanguage));
+            let commandLine = pgsToSrtMode === "executable"
+                ? [PGSTOSRT_EXECUTABLE].concat(pgsToSrtArgs)
+                : ["dotnet", "PgsToSrt.dll"].concat(pgsToSrtArgs);
+            job.parallelFiles = {
+                script: `${host.tempPath}/${job.baseNameForSrt}.ocr.sh`,
+                log: `${host.tempPath}/${job.baseNameForSrt}.ocr.log`,
+                exitCode: `${host.tempPath}/${job.baseNameForSrt}.ocr.exit`,
+                timing: `${host.tempPath}/${job.baseNameForSrt}.ocr.time`
+            };
+            fs.writeText(job.parallelFiles.script, [
+                `cd ${shellQuote(PGSTOSRT_INSTALL_DIR)} || exit 1`,
+                `started=$(date +%s%N)`,
+                `${commandLine.map(shellQuote).join(' ')} > ${shellQuote(job.parallelFiles.log)} 2>&1`,
+                `echo $? > ${shellQuote(job.parallelFiles.exitCode)}`,
+                `echo "$started $(date +%s%N)" > ${shellQuote(job.parallelFiles.timing)}`
+            ].join('\n') + '\n');
+            log.info(`Queued OCR for ${job.label}: ${commandLine.join(' ')}`);
+            return job.parallelFiles.script;
+        });
+
+        let poolStarted = Date.now();
+        let poolResult = host.execute({
+            command: "/bin/sh",
+            argumentList: ["-c", `printf '%s\\0' ${jobScripts.map(shellQuote).join(' ')} | xargs -0 -n 1 -P ${MaxParallelOcr} /bin/sh`]
+        });
+        if (poolResult.exitCode !== 0) {
+            log.warn(`Parallel OCR runner exit code: ${poolResult.exitCode}. Checking each track individually.`);
+        }
+
+        let poolMs = Date.now() - poolStarted;
+        jobs.forEach(job => {
+            job.ocrMs = readParallelOcrMs(job.parallelFiles.timing, poolMs);
+            let srtFilePath = `${host.tempPath}/${job.baseNameForSrt}.srt`;
+            let exitCode = fs.fileExists(job.parallelFiles.exitCode) ? safeInt(fs.readText(job.parallelFiles.exitCode).trim(), -1) : -1;
+            log.info(`PgsToSrt exit code for ${job.label}: ${exitCode}`);
+
+            if (exitCode === 0 && fs.fileExists(srtFilePath) && fs.fileSize(srtFilePath) > 0) {
+                log.info(`PgsToSrt conversion successful for ${job.label}. SRT: ${srtFilePath}`);
+                job.srtPath = srtFilePath;
+            } else {
+                let outputTail = fs.fileExists(job.parallelFiles.log) ? fs.readText(job.parallelFiles.log).trim().split('\n').slice(-5).join(' | ') : '';
+                log.warn(`Parallel OCR failed or produced empty SRT for ${job.label}. Output: ${outputTail || 'N/A'}. Retrying on its own...`);
+                let retryStarted = Date.now();
+                job.srtPath = convertSupToSrt(job.supFilePath, job.baseNameForSrt, job.ocrLanguage);
+                job.ocrMs += Date.now() - retryStarted;
+            }
+
+            Object.keys(job.parallelFiles).forEach(key => {
+                try { if (fs.fileExists(job.parallelFiles[key])) fs.delete(job.parallelFiles[key]); } catch (e) {}
+            });
+        });
+    }
+
+    // Each job script records its own start and end in nanoseconds. A "date" without %N support leaves only the pool's
+    // wall-clock time, which is then used instead.
+    function readParallelOcrMs(timingPath, poolMs) {
+        let times = fs.fileExists(timingPath) ? fs.readText(timingPath).trim().split(/\s+/) : [];
+        if (times.length !== 2 || !times.every(time => /^\d{16,}$/.test(time))) {
+            return poolMs;
+        }
+        return Math.max(0, Math.round((Number(times[1]) - Number(times[0])) / 1e6));
+    }
+
+    function shellQuote(value) {
+        return `'${String(value).replace(/'/g, `'\\''`)}'`;
+    }
+
+    function muxLanguageFor(trackData) {
+        let langForMux = trackData.language || OcrLanguage; 
+        if (langForMux === "und" || langForMux.trim() === "") langForMux = OcrLanguage;
+        if (langForMux.length !== 3) langForMux = OcrLanguage; 
+        return langForMux.trim().substring(0,3);
+    }
+
+    function buildReplacementTrackOrder(sourceTracks, muxInputs) {
+        // File 0 is the source MKV, file N (N >= 1) is the Nth subtitle file; the files made from a PGS track take its slot.
+        let trackOrder = [];
+        let expectedLayout = [];
+        sourceTracks.forEach(track => {
+            let replacementIndexes = [];
+            muxInputs.forEach((muxInput, i) => {
+                if (muxInput.srtData.originalTrackData.id === track.id.toString()) replacementIndexes.push(i);
+            });
+            if (replacementIndexes.length > 0) {
+                replacementIndexes.forEach(i => {
+                    trackOrder.push(`${i + 1}:0`);
+                    expectedLayout.push({ type: "subtitles", codecId: SUBTITLE_OUTPUT_FORMATS[muxInputs[i].output.format].codecId, language: muxInputs[i].srtData.muxLanguage });
+                });
+            } else {
+                trackOrder.push(`0:${track.id}`);
+                expectedLayout.push({ type: track.type, codecId: track.codec_id || (track.properties && track.properties.codec_id) });
+            }
+        });
+        // Subtitles from sidecar SUP files have no slot in the source MKV and go last.
+        muxInputs.forEach((muxInput, i) => {
+            if (muxInput.srtData.originalTrackData.sidecarPath) {
+                trackOrder.push(`${i + 1}:0`);
+                expectedLayout.push({ type: "subtitles", codecId: SUBTITLE_OUTPUT_FORMATS[muxInput.output.format].codecId, language: muxInput.srtData.muxLanguage });
+            }
+        });
+        return { trackOrder: trackOrder.join(','), expectedLayout: expectedLayout };
+    }
+
+    function verifyMuxedTrackLayout(muxedMkvPath, expectedLayout) {
+        let verifyResult = host.execute({
+            command: MKVMERGE_EXECUTABLE,
+            argumentList: ["-i", "-F", "json", muxedMkvPath]
+        });
+        if (verifyResult.exitCode !== 0) {
+            log.error(`Failed to read track info of muxed file (mkvmerge). Exit: ${verifyResult.exitCode}. Stderr: ${verifyResult.standardError || 'N/A'}`);
+            return false;
+        }
+
+        let muxedTracks;
+        try {
+            muxedTracks = JSON.parse(verifyResult.output).tracks || [];
+        } catch (e) {
+            log.error(`Failed to parse mkvmerge JSON of muxed file: ${e.message}`);
+            return false;
+        }
+
+        if (muxedTracks.length !== expectedLayout.length) {
+            log.error(`Muxed file has ${muxedTracks.length} tracks, expected ${expectedLayout.length}.`);
+            return false;
+        }
+        for (let i = 0; i < expectedLayout.length; i++) {
+            let expected = expectedLayout[i];
+            let actual = muxedTracks[i];
+            let actualCodecId = actual.codec_id || (actual.properties && actual.properties.codec_id);
+            let actualLanguage = actual.properties && actual.properties.language;
+            if (actual.type !== expected.type || (expected.codecId && actualCodecId !== expected.codecId) || (expected.language && actualLanguage !== expected.language)) {
+                log.error(`Muxed track ${i} is ${actual.type}/${actualCodecId}/${actualLanguage || 'und'}, expected ${expected.type}/${expected.codecId || 'any'}/${expected.language || 'any'}.`);
+                return false;
+            }
+        }
+        log.info(`Verified track layout of muxed file: ${muxedTracks.length} tracks in the expected order.`);
+        return true;
+    }
+
+    function readTrackFlags(properties) {
+        let props = properties || {};
+        return {
+            default: props.default_track === true,
+            forced: props.forced_track === true,
+            hearingImpaired: props.flag_hearing_impaired === true,
+            commentary: props.flag_commentary === true,
+            original: props.flag_original === true
+        };
+    }
+
+    function describeTrackFlags(flags) {
+        let names = Object.keys(flags).filter(name => flags[name]);
+        return names.length > 0 ? names.join(', ') : 'none';
+    }
+
+    function pushTrackFlagArgs(mkvmergeArgs, flags) {
+        let yesNo = (value) => value ? 'yes' : 'no';
+        mkvmergeArgs.push('--default-track', `0:${yesNo(flags.default)}`);
+        mkvmergeArgs.push('--forced-track', `0:${yesNo(flags.forced)}`);
+        // mkvmerge before v57 rejects these three options, and never reports them as set, so they are passed only when set.
+        if (flags.hearingImpaired) mkvmergeArgs.push('--hearing-impaired-flag', '0:yes');
+        if (flags.commentary) mkvmergeArgs.push('--commentary-flag', '0:yes');
+        if (flags.original) mkvmergeArgs.push('--original-flag', '0:yes');
+    }
+
+    function trackFlagFileSuffix(flags) {
+        // Media servers have no file name convention for the "original language" flag, so it is only muxed.
+        let suffix = '';
+        if (flags.default) suffix += '.default';
+        if (flags.forced) suffix += '.forced';
+        if (flags.hearingImpaired) suffix += '.sdh';
+        if (flags.commentary) suffix += '.commentary';
+        return suffix;
+    }
+
+    function parseTrackRules(rulesText) {
+        if (!rulesText) {
+            return [];
+        }
+
+        let rules;
+        try {
+            rules = JSON.parse(rulesText);
+        } catch (e) {
+            log.error(`TrackRules is not valid JSON: ${e.message}`);
+            return null;
+        }
+        if (!Array.isArray(rules)) {
+            rules = [rules];
+        }
+
+        for (let i = 0; i < rules.length; i++) {
+            let rule = rules[i];
+            let unknownKeys = Object.keys(rule || {}).filter(key => key !== "action" && TRACK_RULE_CONDITIONS.indexOf(key) < 0);
+            if (!rule || TRACK_RULE_ACTIONS.indexOf(rule.action) < 0 || unknownKeys.length > 0) {
+                log.error(`TrackRules rule ${i + 1} is invalid: ${unknownKeys.length > 0 ? `unknown condition(s) ${unknownKeys.join(', ')}` : `action must be one of ${TRACK_RULE_ACTIONS.join(', ')}`}. Conditions: ${TRACK_RULE_CONDITIONS.join(', ')}.`);
+                return null;
+            }
+            if (rule.name !== undefined) {
+                try {
+                    rule.nameRegex = new RegExp(rule.name, 'i');
+                } catch (e) {
+                    log.error(`TrackRules rule ${i + 1} has an invalid name regex '${rule.name}': ${e.message}`);
+                    return null;
+                }
+            }
+        }
+        return rules;
+    }
+
+    function trackMatchesRule(track, rule) {
+        let inList = (value, expected) => [].concat(expected).map(item => String(item).toLowerCase()).indexOf(String(value).toLowerCase()) >= 0;
+        // Size conditions never match a track whose size is unknown.
+        let inRange = (value, min, max) => (min === undefined || (value !== null && value >= min)) && (max === undefined || (value !== null && value <= max));
+
+        return (rule.language === undefined || inList(track.language, rule.language))
+            && (rule.ietf === undefined || inList(track.originalLanguageTag, rule.ietf))
+            && (rule.nameRegex === undefined || rule.nameRegex.test(track.sourceTrackName || ''))
+            && (rule.forced === undefined || track.flags.forced === rule.forced)
+            && (rule.default === undefined || track.flags.default === rule.default)
+            && (rule.commentary === undefined || track.flags.commentary === rule.commentary)
+            && (rule.hearingImpaired === undefined || track.flags.hearingImpaired === rule.hearingImpaired)
+            && inRange(track.frames, rule.minFrames, rule.maxFrames)
+            && inRange(track.bytes, rule.minBytes, rule.maxBytes);
+    }
+
+    function applyTrackRules(tracks) {
+        // "best" rules collect their tracks per language first; the winner is picked once every track is assigned.
+        let bestGroups = {};
+        tracks.forEach(track => {
+            let ruleIndex = trackRules.findIndex(rule => trackMatchesRule(track, rule));
+            if (ruleIndex < 0) {
+                track.selection = { kept: true, reason: 'no rule matched' };
+                return;
+            }
+            let rule = trackRules[ruleIndex];
+            if (rule.action === "best") {
+                let groupKey = `${ruleIndex}|${track.language}`;
+                (bestGroups[groupKey] = bestGroups[groupKey] || []).push(track);
+            } else {
+                track.selection = { kept: rule.action === "include", reason: `rule ${ruleIndex + 1} (${rule.action})` };
+            }
+        });
+
+        Object.keys(bestGroups).forEach(groupKey => {
+            let ruleNumber = parseInt(groupKey, 10) + 1;
+            let group = bestGroups[groupKey];
+            // Largest by bytes, then by frame count; ties keep the earlier track.
+            let best = group.reduce((winner, track) => {
+                let byBytes = (track.bytes || 0) - (winner.bytes || 0);
+                let byFrames = (track.frames || 0) - (winner.frames || 0);
+                return byBytes > 0 || (byBytes === 0 && byFrames > 0) ? track : winner;
+            }, group[0]);
+            group.forEach(track => {
+                track.selection = track === best
+                    ? { kept: true, reason: `rule ${ruleNumber} (best of ${group.length} for ${track.language})` }
+                    : { kept: false, reason: `rule ${ruleNumber} (track ${best.id} is larger for ${track.language})` };
+            });
+        });
+
+        return tracks.filter(track => track.selection.kept);
+    }
+
+    function logTrackSelection(tracks) {
+        let formatCount = (count) => count === null || count === undefined ? '-' : String(count);
+        let rows = [["ID", "Lang", "Flags", "Frames", "Bytes", "Decision", "Reason"]].concat(tracks.map(track => [
+            track.id, track.language, describeTrackFlags(track.flags), formatCount(track.frames), formatCount(track.bytes),
+            track.selection.kept ? "keep" : "drop", track.selection.reason
+        ]));
+        let widths = rows[0].map((_, column) => Math.max.apply(null, rows.map(row => String(row[column]).length)));
+        log.info("Track selection:");
+        rows.forEach(row => log.info(`  ${row.map((cell, column) => column === row.length - 1 ? cell : String(cell).padEnd(widths[column])).join('  ')}`));
+    }
+
+    function applyExistingSubtitlePolicy(tracks, embeddedTextTracks, muxing) {
+        let result = { tracks: tracks, replacedTextTrackIds: [] };
+        if (ExistingSubtitles === "always") {
+            return result;
+        }
+
+        // Subtitles this script muxed earlier are named "<PGS track name> (<format> from PGS)".
+        let createdMarker = new RegExp(` \\((${Object.keys(SUBTITLE_OUTPUT_FORMATS).map(f => SUBTITLE_OUTPUT_FORMATS[f].label).join('|')}) from PGS\\)$`);
+        let existing = embeddedTextTracks.map(textTrack => ({
+            description: `embedded text track ${textTrack.id} "${textTrack.name}"`,
+            language: textTrack.language,
+            forced: textTrack.forced,
+            embeddedId: textTrack.id,
+            path: null,
+            sourceName: createdMarker.test(textTrack.name) ? textTrack.name.replace(createdMarker, '') : null
+        }));
+        listSidecarFiles(originalFileNameForOutput, TEXT_SUBTITLE_EXTENSIONS).forEach(sidecarPath => {
+            let tags = readSidecarNameTags(sidecarPath, originalFileNameForOutput);
+            existing.push({ description: `sidecar file ${sidecarPath}`, language: tags.language, forced: tags.flags.forced, embeddedId: null, path: sidecarPath, sourceName: null });
+        });
+        if (existing.length === 0) {
+            return result;
+        }
+
+        let origFileBaseName = originalFileNameForOutput.substring(originalFileNameForOutput.lastIndexOf(host.isWindows ? '\\' : '/') + 1, originalFileNameForOutput.lastIndexOf('.'));
+        // An untagged track is muxed and named with the language detected during OCR, which this run does not know yet,
+        // so its earlier output is recognised with any language.
+        let createdBy = (subtitle, track) => {
+            let anyLanguage = willDetectLanguage(track);
+            if (subtitle.embeddedId !== null) {
+                return subtitle.sourceName !== null && subtitle.sourceName === track.trackName && (anyLanguage || subtitle.language === muxLanguageFor(track));
+            }
+            let fileName = subtitle.path.substring(subtitle.path.lastIndexOf(host.isWindows ? '\\' : '/') + 1);
+            return Object.keys(SUBTITLE_OUTPUT_FORMATS).map(format => SUBTITLE_OUTPUT_FORMATS[format].extension).some(extension => {
+                let tokens = subtitleNameTokens(track, origFileBaseName, "{index}", extension);
+                return earlierOutputPattern(subtitleNameTemplate.track, tokens, extension).test(fileName)
+                    || (anyLanguage && earlierOutputPattern(subtitleNameTemplate.track, Object.assign({}, tokens, { lang2: "{lang}", lang3: "{lang}" }), extension).test(fileName));
+            });
+        };
+
+        result.tracks = tracks.filter(track => {
+            // A subtitle made from another PGS track is handled with that track.
+            let relevant = existing.filter(subtitle => !tracks.some(other => other !== track && createdBy(subtitle, other)));
+            let ownEarlier = relevant.filter(subtitle => createdBy(subtitle, track));
+            let others = relevant.filter(subtitle => ownEarlier.indexOf(subtitle) < 0 && track.language !== "und" && subtitle.language === track.language && subtitle.forced === track.flags.forced);
+
+            // Only earlier output in the place this run writes to can be replaced: muxed tracks when muxing, sidecar files otherwise.
+            let replaceable = ExistingSubtitles === "replace" ? ownEarlier.filter(subtitle => muxing ? subtitle.embeddedId !== null : subtitle.path !== null) : [];
+            let blocking = others.concat(ownEarlier.filter(subtitle => replaceable.indexOf(subtitle) < 0));
+            if (blocking.length > 0) {
+                log.info(`Skipping PGS Track ID ${track.id} (Lang: ${track.language}${track.flags.forced ? ', forced' : ''}): ${blocking[0].description} already covers it${ownEarlier.indexOf(blocking[0]) >= 0 ? ' (made by an earlier run)' : ''}.`);
+                track.selection = { kept: false, reason: `ExistingSubtitles: ${blocking[0].description} already covers it` };
+                return false;
+            }
+
+            // Sidecar files are deleted only once the track has a new conversion to write.
+            track.replacedSidecarPaths = [];
+            replaceable.forEach(subtitle => {
+                log.info(`PGS Track ID ${track.id}: ${subtitle.description} from an earlier run will be replaced.`);
+                if (subtitle.embeddedId !== null) result.replacedTextTrackIds.push(subtitle.embeddedId);
+                else track.replacedSidecarPaths.push(subtitle.path);
+            });
+            return true;
+        });
+        return result;
+    }
+
+    function earlierOutputPattern(template, tokens, extension) {
+        // The file name NameTemplate gives these tokens, with any processing index ("{index}"), any language ("{lang}")
+        // and collision suffix.
+        let fileName = buildSubtitleFileName(template, tokens);
+        let escaped = fileName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').split('\\{index\\}').join('\\d+').split('\\{lang\\}').join('[a-z]{2,3}');
+        let extensionPattern = `\\.${extension}`;
+        if (escaped.endsWith(extensionPattern)) {
+            escaped = escaped.substring(0, escaped.length - extensionPattern.length) + `(\\.\\d+)?${extensionPattern}`;
+        }
+        return new RegExp(`^${escaped}$`, 'i');
+    }
+
+    function deleteEarlierOutputs(paths) {
+        paths.forEach(path => {
+            try {
+                fs.delete(path);
+                log.info(`Deleted ${path} from an earlier run.`);
+            } catch (eDelete) {
+                log.warn(`Could not delete ${path} from an earlier run: ${eDelete.message}`);
+            }
+        });
+    }
+
+    function copySrtsExternallyAndCleanup(srtFilesDataList, refOriginalFile) {
+        let createdCount = 0;
+        let origFileDir = refOriginalFile.substring(0, refOriginalFile.lastIndexOf(host.isWindows ? '\\' : '/'));
+        let origFileBaseName = refOriginalFile.substring(refOriginalFile.lastIndexOf(host.isWindows ? '\\' : '/') + 1, refOriginalFile.lastIndexOf('.'));
+        let reservedPaths = [];
+
+        for (let srtData of srtFilesDataList) {
+            deleteEarlierOutputs(srtData.originalTrackData.replacedSidecarPaths || []);
+
+            for (let output of srtData.outputs) {
+                let extension = SUBTITLE_OUTPUT_FORMATS[output.format].extension;
+                let fileName = buildSubtitleFileName(subtitleNameTemplate.track, subtitleNameTokens(srtData.originalTrackData, origFileBaseName, srtData.processingIndex, extension));
+                let destSrt = reserveSubtitlePath(origFileDir, fileName, extension, reservedPaths);
+
+                try {
+                    fs.copy(output.path, destSrt, false);
+                    log.info(`Copied external ${SUBTITLE_OUTPUT_FORMATS[output.format].label} to: ${destSrt}`);
+                    srtData.originalTrackData.report.outputs.push({ format: output.format, path: destSrt });
+                    if (!host.isWindows && FilePermissions) {
+                        host.execute({ command: "chmod", argumentList: [FilePermissions, destSrt] });
+                    }
+                    createdCount++;
+                } catch (eCopyExt) {
+                    log.error(`Failed to copy external subtitle from ${output.path} to ${destSrt}: ${eCopyExt.message}`);
+                    srtData.originalTrackData.report.errors.push(`Could not write ${destSrt}: ${eCopyExt.message}`);
+                }
+            }
+        }
+        return createdCount;
+    }
+
+    function subtitleNameTokens(track, baseName, processingIndex, extension) {
+        let language = (track.language && track.language !== "und" && track.language !== "unknown") ? track.language : '';
+        return {
+            base: baseName,
+            lang2: toIso6391(language, track.originalLanguageTag),
+            lang3: language,
+            default: track.flags.default ? 'default' : '',
+            forced: track.flags.forced ? 'forced' : '',
+            sdh: track.flags.hearingImpaired ? 'sdh' : '',
+            commentary: track.flags.commentary ? 'commentary' : '',
+            title: track.sourceTrackName || '',
+            id: track.id,
+            index: processingIndex,
+            ext: extension
+        };
+    }
+
+    function resolveSubtitleNameTemplate(nameTemplate) {
+        let preset = SUBTITLE_NAME_PRESETS[nameTemplate.toLowerCase() || "legacy"];
+        if (preset) {
+            return preset;
+        }
+
+        let unknownTokens = (nameTemplate.match(/\{[^}]*\}/g) || []).map(token => token.slice(1, -1)).filter(token => SUBTITLE_NAME_TOKENS.indexOf(token) < 0);
+        if (unknownTokens.length > 0 || /[\/\\]/.test(nameTemplate)) {
+            log.warn(`Ignoring NameTemplate '${nameTemplate}': ${unknownTokens.length > 0 ? `unknown token(s) ${unknownTokens.map(t => `{${t}}`).join(', ')}` : 'it must be a file name, not a path'}. Using the legacy names.`);
+            return SUBTITLE_NAME_PRESETS.legacy;
+        }
+        if (nameTemplate.indexOf("{ext}") < 0) {
+            log.warn(`NameTemplate '${nameTemplate}' has no {ext} token; appending ".{ext}".`);
+            nameTemplate += ".{ext}";
+        }
+        return { track: nameTemplate, sup: nameTemplate };
+    }
+
+    function buildSubtitleFileName(template, tokens) {
+        let sanitize = (value) => String(value === undefined || value === null ? '' : value).replace(/[<>:"\/\\|?*\x00-\x1F]/g, '').replace(/\s+/g, ' ').trim();
+        // {base} is filled in last so dots inside the original file name survive the cleanup of empty tokens.
+        let fileName = template.replace(/\{(\w+)\}/g, (token, name) => name === "base" ? token : sanitize(tokens[name]));
+        fileName = fileName.replace(/\.{2,}/g, '.').replace(/^\.+|\.+$/g, '');
+        return fileName.split("{base}").join(tokens.base);
+    }
+
+    function reserveSubtitlePath(directory, fileName, extension, reservedPaths) {
+        let stem = fileName.endsWith(`.${extension}`) ? fileName.substring(0, fileName.length - extension.length - 1) : fileName;
+        let suffix = fileName.substring(stem.length);
+        let candidate = `${directory}/${fileName}`;
+        for (let counter = 2; reservedPaths.indexOf(candidate) >= 0 || fs.fileExists(candidate); counter++) {
+            candidate = `${directory}/${stem}.${counter}${suffix}`;
+        }
+        if (candidate !== `${directory}/${fileName}`) {
+            log.warn(`${directory}/${fileName} already exists or is used by another track. Writing ${candidate} instead.`);
+        }
+        reservedPaths.push(candidate);
+        return candidate;
+    }
+
+    function toIso6391(language, ietfTag) {
+        if (ietfTag && ietfTag !== 'N/A' && /^[a-z]{2}(-|$)/i.test(ietfTag)) {
+            return ietfTag.substring(0, 2).toLowerCase();
+        }
+        if (!language) {
+            return '';
+        }
+        let tesseractLanguage = ISO_639_2B_TO_TESSERACT[language] || language;
+        let iso6391 = Object.keys(ISO_639_1_TO_TESSERACT).find(code => ISO_639_1_TO_TESSERACT[code] === tesseractLanguage);
+        // Languages without a two-letter code keep their three-letter one, which media servers also accept.
+        return iso6391 || language;
+    }
+
+    function processSupFile(supInputPath, originalSupFileNameRef) {
+        log.info(`Standalone SUP file detected: ${supInputPath}`);
+        let baseNameForSrt = originalSupFileNameRef.substring(originalSupFileNameRef.lastIndexOf(host.isWindows ? '\\' : '/') + 1, originalSupFileNameRef.lastIndexOf('.'));
+        
+        let supTrack = { id: "sup", language: "und", trackName: baseNameForSrt, flags: {}, sidecarPath: originalSupFileNameRef, selection: { kept: true, reason: 'standalone SUP' }, report: newTrackReport() };
+        jobReport.tracks = [supTrack];
+
+        let ocrLangForSup = resolveInstalledOcrLanguage(resolveEffectiveOcrLanguage(OcrLanguage), "standalone SUP");
+        if (!ocrLangForSup) {
+            log.error(`No usable Tesseract traineddata for standalone SUP file ${supInputPath}.`);
+            supTrack.report.errors.push("No usable Tesseract traineddata.");
+            return -1;
+        }
+
+        // Tesseract names the language by ISO 639-2/T (plus script), e.g. "chi_sim"; the file name only needs the language.
+        let supLanguage = ocrLangForSup.split('+')[0];
+        let supLanguage3 = Object.keys(ISO_639_2B_TO_TESSERACT).find(code => ISO_639_2B_TO_TESSERACT[code] === supLanguage) || supLanguage.split('_')[0];
+        supTrack.language = supLanguage3;
+        supTrack.ocrLanguage = ocrLangForSup;
+        let supNameTokens = (extension, index) => ({
+            base: baseNameForSrt,
+            lang2: toIso6391(supLanguage3, null),
+            lang3: supLanguage3,
+            id: 0,
+            index: index,
+            ext: extension
+        });
+
+        // Every text subtitle named after the SUP belongs to it; only this script's own earlier output can be replaced.
+        let replacedPaths = [];
+        if (ExistingSubtitles !== "always") {
+            let existingPaths = listSidecarFiles(originalSupFileNameRef, TEXT_SUBTITLE_EXTENSIONS);
+            let isEarlierOutput = (path) => Object.keys(SUBTITLE_OUTPUT_FORMATS).map(format => SUBTITLE_OUTPUT_FORMATS[format].extension).some(extension =>
+                earlierOutputPattern(subtitleNameTemplate.sup, supNameTokens(extension, "{index}"), extension).test(path.substring(path.lastIndexOf(host.isWindows ? '\\' : '/') + 1)));
+            let blocking = existingPaths.filter(path => ExistingSubtitles === "skip" || !isEarlierOutput(path));
+            if (blocking.length > 0) {
+                log.info(`Skipping standalone SUP ${supInputPath}: sidecar file ${blocking[0]} already covers it${isEarlierOutput(blocking[0]) ? ' (made by an earlier run)' : ''}.`);
+                supTrack.selection = { kept: false, reason: `ExistingSubtitles: sidecar file ${blocking[0]} already covers it` };
+                return 1;
+            }
+            replacedPaths = existingPaths;
+            replacedPaths.forEach(path => log.info(`Sidecar file ${path} from an earlier run will be replaced.`));
+        }
+
+        let ocrStarted = Date.now();
+        if (host.dryRun) {
+            log.info(`Dry run: would convert standalone SUP ${supInputPath} with OCR language '${ocrLangForSup}'.`);
+            return 1;
+        }
+
+        let srtFilePathInTemp = convertSupToSrtCached(supInputPath, baseNameForSrt, ocrLangForSup, "standalone SUP");
+        supTrack.report.ocrMs = Date.now() - ocrStarted;
+
+        if (!srtFilePathInTemp || !fs.fileExists(srtFilePathInTemp)) {
+            log.error(`Failed to convert standalone SUP file ${supInputPath} to SRT.`);
+            supTrack.report.errors.push("OCR failed: PgsToSrt produced no SRT.");
+            return -1;
+        }
+
+        postProcessSrt(srtFilePathInTemp, ocrLangForSup, "standalone SUP");
+        let displaySets = loadPgsDisplaySets(supInputPath, "standalone SUP");
+        if (!passesQualityGate(srtFilePathInTemp, displaySets, ocrLangForSup, "standalone SUP", "sup")) {
+            supTrack.report.errors.push(`OCR quality score below the minimum of ${MinQualityScore}.`);
+            try { fs.delete(srtFilePathInTemp); } catch (e) {}
+            return -1;
+        }
+        displaySets = applyTimingStage(srtFilePathInTemp, displaySets, "standalone SUP");
+        supTrack.report.cues = countSrtCues(srtFilePathInTemp);
+        let outputs = createOutputFiles(srtFilePathInTemp, displaySets, "standalone SUP");
+        let cleanupTempOutputs = () => {
+            [srtFilePathInTemp].concat(outputs.map(output => output.path)).forEach(tempPath => {
+                try { if(fs.fileExists(tempPath)) fs.delete(tempPath); } catch(e){}
+            });
+        };
+
+        log.info(`SRT file created at: ${srtFilePathInTemp}. Copying to original location...`);
+        let origFileDir = originalSupFileNameRef.substring(0, originalSupFileNameRef.lastIndexOf(host.isWindows ? '\\' : '/'));
+        let copiedFiles = [];
+        let reservedPaths = [];
+        deleteEarlierOutputs(replacedPaths);
+
+        for (let output of outputs) {
+            let extension = SUBTITLE_OUTPUT_FORMATS[output.format].extension;
+            let fileName = buildSubtitleFileName(subtitleNameTemplate.sup, supNameTokens(extension, 0));
+            let destSrt = reserveSubtitlePath(origFileDir, fileName, extension, reservedPaths);
+            try {
+                fs.copy(output.path, destSrt, false);
+                log.info(`Copied standalone ${SUBTITLE_OUTPUT_FORMATS[output.format].label} to: ${destSrt}`);
+                supTrack.report.outputs.push({ format: output.format, path: destSrt });
+                if (!host.isWindows && FilePermissions) {
+                    host.execute({ command: "chmod", argumentList: [FilePermissions, destSrt] });
+                }
+                copiedFiles.push(destSrt);
+            } catch (eCopy) {
+                log.error(`Failed to copy standalone subtitle from ${output.path} to ${destSrt}: ${eCopy.message}`);
+                supTrack.report.errors.push(`Could not write ${destSrt}: ${eCopy.message}`);
+                cleanupTempOutputs();
+                return -1;
+            }
+        }
+
+        setWorkingFile(copiedFiles[0]); 
+        cleanupTempOutputs();
+        return 1;
+    }
+    
+    function isTesseractLanguageSpec(spec) {
+        return /^[a-z]{3}(_[a-z]+)?(\+[a-z]{3}(_[a-z]+)?)*$/i.test(spec || '');
+    }
+
+    function resolveEffectiveOcrLanguage(ocrLanguageForTool) {
+        return isTesseractLanguageSpec(ocrLanguageForTool && ocrLanguageForTool.trim()) ? ocrLanguageForTool.trim().toLowerCase() : "eng";
+    }
+
+    function resolveTrackOcrLanguage(track) {
+        let tagged = resolveTaggedOcrLanguage(track);
+        let resolved = tagged ? tagged.resolved : null;
+        let source = tagged ? tagged.source : null;
+        if (!resolved) {
+            resolved = resolveEffectiveOcrLanguage(OcrLanguage);
+            source = `OcrLanguage (track language '${track.language}' is not usable)`;
+            if (languageDetectionCandidates.length > 0) {
+                track.detectLanguage = true;
+                source += `; detection runs after extraction`;
+            }
+        }
+
+        log.info(`OCR language for track ${track.id}: ${resolved} (from ${source})`);
+        return resolved;
+    }
+
+    function willDetectLanguage(track) {
+        return languageDetectionCandidates.length > 0 && !resolveTaggedOcrLanguage(track);
+    }
+
+    // The OCR language the track's own tags or OcrLanguageMap give, or null when only OcrLanguage (or detection) is left.
+    function resolveTaggedOcrLanguage(track) {
+        let ietfTag = track.originalLanguageTag && track.originalLanguageTag !== 'N/A' ? track.originalLanguageTag.toLowerCase() : '';
+        let isoCode = track.language;
+        let source;
+        let resolved = null;
+
+        if (ietfTag && ocrLanguageOverrides[ietfTag]) {
+            resolved = ocrLanguageOverrides[ietfTag];
+            source = `OcrLanguageMap entry '${ietfTag}'`;
+        } else if (ocrLanguageOverrides[isoCode]) {
+            resolved = ocrLanguageOverrides[isoCode];
+            source = `OcrLanguageMap entry '${isoCode}'`;
+        } else if (ietfTag && ietfTag.indexOf('-') > 0) {
+            resolved = tesseractLanguageForIetfTag(ietfTag);
+            source = `IETF tag '${track.originalLanguageTag}'`;
+        }
+
+        if (!resolved && isoCode && isoCode !== "und" && isoCode.length === 3) {
+            resolved = ISO_639_2B_TO_TESSERACT[isoCode] || isoCode;
+            source = `language '${isoCode}'`;
+        }
+        return resolved ? { resolved: resolved, source: source } : null;
+    }
+
+    function tesseractLanguageForIetfTag(ietfTag) {
+        let subtags = ietfTag.toLowerCase().split('-');
+        let primary = subtags[0];
+        if (primary === "zh" || primary === "chi" || primary === "zho") {
+            let traditional = subtags.indexOf("hant") > 0 || ["tw", "hk", "mo"].some(region => subtags.indexOf(region) > 0);
+            return traditional ? "chi_tra" : "chi_sim";
+        }
+        if (primary === "sr" && subtags.indexOf("latn") > 0) {
+            return "srp_latn";
+        }
+        if (primary.length === 2) {
+            return ISO_639_1_TO_TESSERACT[primary] || null;
+        }
+        return primary.length === 3 ? (ISO_639_2B_TO_TESSERACT[primary] || primary) : null;
+    }
+
+    function hasTrainedData(tesseractLanguage) {
+        if (trainedDataPresence[tesseractLanguage] === undefined) {
+            trainedDataPresence[tesseractLanguage] = fs.fileExists(`${TesseractPath}/${tesseractLanguage}.traineddata`);
+        }
+        return trainedDataPresence[tesseractLanguage];
+    }
+
+    function resolveInstalledOcrLanguage(requested, trackLabel) {
+        let languages = requested.split('+');
+        let installed = languages.filter(hasTrainedData);
+        if (installed.length === languages.length) {
+            return requested;
+        }
+
+        let missing = languages.filter(lang => !hasTrainedData(lang));
+        if (installed.length > 0) {
+            log.warn(`No traineddata for '${missing.join('+')}' in ${TesseractPath}. OCR for ${trackLabel} uses '${installed.join('+')}' only.`);
+            return installed.join('+');
+        }
+
+        let fallback = resolveEffectiveOcrLanguage(OcrLanguage);
+        if (fallback !== requested && fallback.split('+').every(hasTrainedData)) {
+            log.warn(`No traineddata for '${requested}' in ${TesseractPath}. Falling back to OcrLanguage '${fallback}' for ${trackLabel}.`);
+            return fallback;
+        }
+        log.error(`No traineddata for '${requested}'${fallback !== requested ? ` or OcrLanguage '${fallback}'` : ''} in ${TesseractPath}.`);
+        return null;
+    }
+
+    function parseLanguageDetectionCandidates(candidateList) {
+        let candidates = [];
+        candidateList.split(',').map(lang => lang.trim().toLowerCase()).filter(lang => lang).forEach(lang => {
+            if (!isTesseractLanguageSpec(lang)) {
+                log.warn(`Ignoring DetectLanguages entry '${lang}'. Expected a Tesseract language such as "jpn" or "chi_tra".`);
+            } else if (!lang.split('+').every(hasTrainedData)) {
+                log.warn(`No traineddata for DetectLanguages entry '${lang}' in ${TesseractPath}. It is not tried.`);
+            } else if (candidates.indexOf(lang) < 0) {
+                candidates.push(lang);
+            }
+        });
+        if (candidateList.trim() && candidates.length === 0) {
+            log.warn("None of the DetectLanguages are installed. Tracks without a usable language tag use OcrLanguage.");
+        }
+        return candidates;
+    }
+
+    function detectTrackLanguage(track, supFilePath, baseName) {
+        let trackLabel = `track ${track.id}`;
+        if (languageDetectionCandidates.length === 1) {
+            applyDetectedLanguage(track, languageDetectionCandidates[0], "the only DetectLanguages candidate");
+            return;
+        }
+
+        let samplePath = `${host.tempPath}/${baseName}.sample.sup`;
+        let sampleSize = writeDisplaySetSample(supFilePath, samplePath, trackLabel);
+        if (sampleSize === 0) {
+            log.warn(`No subtitle images to sample for ${trackLabel}. Keeping OCR language '${track.ocrLanguage}'.`);
+            return;
+        }
+
+        log.info(`Detecting the language of ${trackLabel} from ${sampleSize} subtitle images: trying ${languageDetectionCandidates.join(', ')}`);
+        let jobs = languageDetectionCandidates.map(lang => ({
+            track: track,
+            supFilePath: samplePath,
+            baseNameForSrt: `${baseName}.detect-${lang.replace(/\+/g, '_')}`,
+            ocrLanguage: lang,
+            label: `${trackLabel} sample (${lang})`,
+            cacheEntryPath: null,
+            srtPath: null
+        }));
+        runOcrJobs(jobs);
+
+        let best = null;
+        jobs.forEach(job => {
+            if (!job.srtPath) {
+                log.warn(`Sample OCR with '${job.ocrLanguage}' failed for ${trackLabel}.`);
+                return;
+            }
+            try {
+                let quality = scoreSrtQuality(parseSrt(fs.readText(job.srtPath)), sampleSize, job.ocrLanguage);
+                log.info(`Language detection for ${trackLabel}: '${job.ocrLanguage}' scored ${quality.score}/100 (${quality.summary})`);
+                // On a tie the earlier candidate wins, so DetectLanguages doubles as a preference order.
+                if (!best || quality.score > best.score) {
+                    best = { language: job.ocrLanguage, score: quality.score };
+                }
+            } catch (eScore) {
+                log.warn(`Could not score the '${job.ocrLanguage}' sample of ${trackLabel}: ${eScore.message}`);
+            } finally {
+                try { fs.delete(job.srtPath); } catch (e) {}
+            }
+        });
+        try { fs.delete(samplePath); } catch (e) {}
+
+        if (!best) {
+            log.warn(`Language detection failed for ${trackLabel}. Keeping OCR language '${track.ocrLanguage}'.`);
+            return;
+        }
+        applyDetectedLanguage(track, best.language, `score ${best.score}/100`);
+    }
+
+    function applyDetectedLanguage(track, tesseractLanguage, reason) {
+        let primary = tesseractLanguage.split('+')[0];
+        track.ocrLanguage = tesseractLanguage;
+        track.language = iso6392BFor(primary) || iso6392BFor(primary.split('_')[0]) || primary.split('_')[0];
+        // The container's tag ("und" or malformed) no longer describes the track.
+        track.originalLanguageTag = 'N/A';
+        variables[`PgsToSrt.DetectedLanguage.${track.id}`] = track.language;
+        track.languageDetected = true;
+        log.info(`Detected language for track ${track.id}: ${track.language} (OCR language '${tesseractLanguage}', ${reason})`);
+    }
+
+    function writeDisplaySetSample(supFilePath, samplePath, trackLabel) {
+        // Display sets that carry their own bitmaps decode on their own; they are picked evenly across the track,
+        // each followed by the clearing display set that ends its cue.
+        let displaySets = loadPgsDisplaySets(supFilePath, trackLabel);
+        let visible = [];
+        displaySets.forEach((displaySet, i) => { if (displaySet.objects.length > 0 && displaySet.definesObjects) visible.push(i); });
+        if (visible.length === 0) {
+            return 0;
+        }
+
+        let step = Math.max(1, visible.length / DetectSampleSize);
+        let picked = [];
+        for (let n = 0; n < DetectSampleSize && Math.floor(n * step) < visible.length; n++) {
+            picked.push(visible[Math.floor(n * step)]);
+        }
+
+        let ranges = [];
+        picked.forEach(i => {
+            [displaySets[i], displaySets[i + 1]].filter((displaySet, k) => displaySet && (k === 0 || displaySet.objects.length === 0)).forEach(displaySet => {
+                ranges.push({ offset: displaySet.offset, length: displaySet.endOffset - displaySet.offset });
+            });
+        });
+        fs.writeRanges(supFilePath, samplePath, ranges);
+        return picked.length;
+    }
+
+    function convertSupToSrtCached(supFilePath, baseNameForSrt, ocrLanguageForTool, trackLabel) {
+        if (!OcrCacheDir) {
+            return convertSupToSrt(supFilePath, baseNameForSrt, ocrLanguageForTool);
+        }
+
+        let cached = lookupOcrCache(supFilePath, `${host.tempPath}/${baseNameForSrt}.srt`, ocrLanguageForTool, trackLabel);
+        if (cached.srtPath) {
+            return cached.srtPath;
+        }
+
+        let convertedSrtPath = convertSupToSrt(supFilePath, baseNameForSrt, ocrLanguageForTool);
+        if (convertedSrtPath && cached.entryPath) {
+            storeInOcrCache(cached.entryPath, convertedSrtPath, trackLabel);
+        }
+        return convertedSrtPath;
+    }
+
+    function lookupOcrCache(supFilePath, srtFilePath, ocrLanguageForTool, trackLabel) {
+        let cacheEntryPath = getOcrCacheEntryPath(supFilePath, resolveEffectiveOcrLanguage(ocrLanguageForTool));
+        if (!cacheEntryPath) {
+            log.warn(`OCR cache unavailable for ${trackLabel}; running OCR without cache.`);
+            return { entryPath: null, srtPath: null };
+        }
+
+        if (fs.fileExists(cacheEntryPath)) {
+            try {
+                fs.copy(cacheEntryPath, srtFilePath, true);
+                fs.touch(cacheEntryPath);
+                log.info(`OCR cache HIT for ${trackLabel}: reusing ${cacheEntryPath}`);
+                return { entryPath: cacheEntryPath, srtPath: srtFilePath };
+            } catch (eCacheRead) {
+                log.warn(`OCR cache entry ${cacheEntryPath} could not be read for ${trackLabel}: ${eCacheRead.message}. Running OCR.`);
+            }
+        } else {
+            log.info(`OCR cache MISS for ${trackLabel}: running OCR.`);
+        }
+        return { entryPath: cacheEntryPath, srtPath: null };
+    }
+
+    function storeInOcrCache(cacheEntryPath, srtFilePath, trackLabel) {
+        try {
+            fs.copy(srtFilePath, cacheEntryPath, true);
+            log.info(`Stored OCR result for ${trackLabel} in cache: ${cacheEntryPath}`);
+        } catch (eCacheWrite) {
+            log.warn(`Could not store OCR result for ${trackLabel} in cache ${cacheEntryPath}: ${eCacheWrite.message}`);
+        }
+    }
+
+    function getOcrCacheEntryPath(supFilePath, effectiveOcrLang) {
+        let hashResult = host.execute({ command: "sha256sum", argumentList: [supFilePath] });
+        let hashMatch = hashResult.exitCode === 0 && hashResult.output ? /^([0-9a-f]{64})/i.exec(hashResult.output.trim()) : null;
+        if (!hashMatch) {
+            log.warn(`Could not hash ${supFilePath} for the OCR cache. Exit: ${hashResult.exitCode}. Stderr: ${hashResult.standardError || 'N/A'}`);
+            return null;
+        }
+
+        // Any setting that changes PgsToSrt's output must be part of the key.
+        let settingsFingerprint = JSON.stringify({
+            language: effectiveOcrLang,
+            blacklist: Blacklist.trim(),
+            shortThreshold: ShortThreshold,
+            extendTo: ExtendTo,
+            allowOverlap: AllowOverlap,
+            positionThreshold: PositionThreshold,
+            tessdata: TesseractPath
+        });
+        return `${OcrCacheDir}/${hashMatch[1].toLowerCase()}_${fnv1aHex(settingsFingerprint)}.srt`;
+    }
+
+    function fnv1aHex(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    function prepareOcrCache() {
+        try {
+            if (!fs.directoryExists(OcrCacheDir)) {
+                fs.createDirectory(OcrCacheDir);
+                log.info(`Created OCR cache directory: ${OcrCacheDir}`);
+                return;
+            }
+
+            let entries = [];
+            for (let entryPath of fs.listFiles(OcrCacheDir, "*.srt")) {
+                entries.push({ path: entryPath, size: fs.fileSize(entryPath), lastUsed: fs.lastWriteTime(entryPath) });
+            }
+
+            let removedCount = 0;
+            let removeEntry = (entry) => {
+                try { fs.delete(entry.path); removedCount++; }
+                catch (eDelCache) { log.warn(`Could not remove OCR cache entry ${entry.path}: ${eDelCache.message}`); }
+            };
+
+            if (OcrCacheMaxAgeDays > 0) {
+                let oldestAllowed = Date.now() - OcrCacheMaxAgeDays * 24 * 60 * 60 * 1000;
+                entries.filter(entry => entry.lastUsed < oldestAllowed).forEach(removeEntry);
+                entries = entries.filter(entry => entry.lastUsed >= oldestAllowed);
+            }
+
+            if (OcrCacheMaxSizeMb > 0) {
+                let maxBytes = OcrCacheMaxSizeMb * 1024 * 1024;
+                let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+                entries.sort((a, b) => a.lastUsed - b.lastUsed);
+                while (totalBytes > maxBytes && entries.length > 0) {
+                    let entry = entries.shift();
+                    totalBytes -= entry.size;
+                    removeEntry(entry);
+                }
+            }
+
+            log.info(`OCR cache holds ${entries.length} entries${removedCount > 0 ? ` (removed ${removedCount} expired or over the size limit)` : ''}.`);
+        } catch (eCache) {
+            log.warn(`OCR cache maintenance failed for ${OcrCacheDir}: ${eCache.message}. Disabling cache for this run.`);
+            OcrCacheDir = "";
+        }
+    }
+
+    function probePgsToSrtCapabilities() {
+        if (pgsToSrtCapabilities) {
+            return pgsToSrtCapabilities;
+        }
+
+        // CommandLineParser prints help and version to stderr, so both streams are searched.
+        let runWithArgument = (argument) => {
+            let result = pgsToSrtMode === "executable"
+                ? host.execute({ command: PGSTOSRT_EXECUTABLE, argumentList: [argument], workingDirectory: PGSTOSRT_INSTALL_DIR })
+                : host.execute({ command: "dotnet", argumentList: ["PgsToSrt.dll", argument], workingDirectory: PGSTOSRT_INSTALL_DIR });
+            return `${result.output || ''}\n${result.standardError || ''}`;
+        };
+
+        let helpText = runWithArgument("--help");
+        let versionMatch = /PgsToSrt\s+v?(\d+(\.\d+)*)/i.exec(runWithArgument("--version")) || /(\d+\.\d+(\.\d+)*)/.exec(helpText);
+        let listedOptions = (helpText.match(/--[a-z][a-z-]*/gi) || []).map(option => option.substring(2).toLowerCase());
+
+        let options = {};
+        Object.keys(PGSTOSRT_OPTION_SPELLINGS).forEach(key => {
+            let spelling = PGSTOSRT_OPTION_SPELLINGS[key].find(candidate => listedOptions.indexOf(candidate) >= 0);
+            options[key] = spelling ? `--${spelling}` : null;
+        });
+
+        let probed = options.input !== null && options.language !== null;
+        if (!probed) {
+            // An unreadable help text says nothing about the build; assume the options in this repo's CommandLineOptions.cs.
+            log.warn(`Could not read the option list from 'PgsToSrt --help'. Assuming the current option names.`);
+            Object.keys(PGSTOSRT_OPTION_SPELLINGS).forEach(key => options[key] = `--${PGSTOSRT_OPTION_SPELLINGS[key][0]}`);
+        }
+
+        // Released builds declare --allow-overlap as a switch that defaults to on, so it cannot be turned off. Only a help
+        // line offering both "true" and "false" marks a build where the option takes a value.
+        let allowOverlapHelp = '';
+        if (options.allowOverlap) {
+            let helpLines = helpText.split('\n');
+            let first = helpLines.findIndex(line => line.toLowerCase().indexOf(options.allowOverlap) >= 0);
+            // The option's line plus the wrapped description lines below it, up to the next option or a blank line.
+            for (let i = first; i >= 0 && i < helpLines.length && (i === first || (helpLines[i].trim() !== '' && !/^\s*-/.test(helpLines[i]))); i++) {
+                allowOverlapHelp += helpLines[i] + '\n';
+            }
+        }
+        let allowOverlapTakesValue = /\btrue\b/i.test(allowOverlapHelp) && /\bfalse\b/i.test(allowOverlapHelp);
+
+        pgsToSrtCapabilities = { version: versionMatch ? versionMatch[1] : 'unknown', probed: probed, options: options, allowOverlapTakesValue: allowOverlapTakesValue };
+        log.info(`PgsToSrt version: ${pgsToSrtCapabilities.version}. Options: ${Object.keys(options).filter(key => options[key]).map(key => options[key]).join(' ')}${options.allowOverlap ? ` (${options.allowOverlap} ${allowOverlapTakesValue ? 'takes true/false' : 'is a switch'})` : ''}`);
+        return pgsToSrtCapabilities;
+    }
+
+    function checkPgsToSrtCapabilities() {
+        let capabilities = probePgsToSrtCapabilities();
+        let options = capabilities.options;
+        // Each entry names the script parameter that needs the option, or null when PgsToSrt cannot work without it.
+        let requested = [
+            { key: "input", parameter: null },
+            { key: "output", parameter: null },
+            { key: "language", parameter: null },
+            { key: "data", parameter: null },
+            { key: "blacklist", parameter: Blacklist.trim() !== "" ? "Blacklist" : undefined },
+            { key: "shortThreshold", parameter: ShortThreshold > 0 && ExtendTo > 0 ? "ShortThreshold" : undefined },
+            { key: "extendTo", parameter: ShortThreshold > 0 && ExtendTo > 0 ? "ExtendTo" : undefined },
+            { key: "allowOverlap", parameter: AllowOverlap ? undefined : "AllowOverlap" },
+            { key: "positionThreshold", parameter: PositionThreshold !== 50 ? "PositionThreshold" : undefined }
+        ].filter(entry => entry.parameter !== undefined && !options[entry.key]);
+
+        requested.forEach(entry => {
+            let wanted = PGSTOSRT_OPTION_SPELLINGS[entry.key].map(spelling => `--${spelling}`).join(' / ');
+            log.error(entry.parameter
+                ? `The installed PgsToSrt does not support ${wanted}, which the ${entry.parameter} parameter needs. Reset ${entry.parameter} to its default or update PgsToSrt.`
+                : `The installed PgsToSrt does not support ${wanted}. Update PgsToSrt.`);
+        });
+        let canDisableOverlap = AllowOverlap || !options.allowOverlap || capabilities.allowOverlapTakesValue;
+        if (!canDisableOverlap) {
+            log.error(`The installed PgsToSrt has ${options.allowOverlap} only as a switch that is always on, so AllowOverlap=false cannot be applied. Reset AllowOverlap to true or use a PgsToSrt build whose ${options.allowOverlap} takes true or false.`);
+        }
+        return requested.length === 0 && canDisableOverlap;
+    }
+
+    function buildPgsToSrtArgs(supFilePath, srtFilePath, effectiveOcrLang) {
+        let options = probePgsToSrtCapabilities().options;
+        let args = [
+            options.input, supFilePath,
+            options.output, srtFilePath,
+            options.language, effectiveOcrLang,
+            options.data, TesseractPath
+        ];
+        // Tesseract and Leptonica library settings are optional; builds without them pick their own.
+        if (options.tesseractVersion) args.push(options.tesseractVersion, "4");
+        if (options.leptName) args.push(options.leptName, "lept");
+        if (options.leptVersion) args.push(options.leptVersion, "5");
+
+        // Append blacklist and extension parameters
+        if (Blacklist && Blacklist.trim() !== "") {
+            args.push(options.blacklist, Blacklist.trim());
+            log.info(`Adding blacklist parameter: '${Blacklist.trim()}'`);
+        }
+        if (ShortThreshold > 0 && ExtendTo > 0) {
+            args.push(options.shortThreshold, ShortThreshold.toString());
+            args.push(options.extendTo, ExtendTo.toString());
+            log.info(`Adding short subtitle extension: threshold=${ShortThreshold}ms, extend-to=${ExtendTo}ms`);
+        }
+        // Both are left out at their defaults, which every build shares; a switch-only --allow-overlap is never passed a value.
+        if (!AllowOverlap) args.push(options.allowOverlap, "false");
+        if (PositionThreshold !== 50) args.push(options.positionThreshold, PositionThreshold.toString());
+        return args;
+    }
+
+    function convertSupToSrt(supFilePath, baseNameForSrt, ocrLanguageForTool) {
+        let srtFilePath = `${host.tempPath}/${baseNameForSrt}.srt`;
+        let effectiveOcrLang = resolveEffectiveOcrLanguage(ocrLanguageForTool);
+        if (ocrLanguageForTool && ocrLanguageForTool.trim() !== "" && !isTesseractLanguageSpec(ocrLanguageForTool.trim())) {
+            log.warn(`Provided OCR language '${ocrLanguageForTool}' for PgsToSrt is not a Tesseract language (e.g. 'eng', 'chi_sim', 'eng+jpn'). Defaulting to 'eng'.`);
+        }
+
+        log.info(`Converting SUP "${supFilePath}" to SRT "${srtFilePath}" using OCR language "${effectiveOcrLang}" for PgsToSrt...`);
+
+        let pgsToSrtArgs = buildPgsToSrtArgs(supFilePath, srtFilePath, effectiveOcrLang);
+
+        // Try different PgsToSrt calling methods based on what's available
+        if (pgsToSrtMode === "executable") {
+            // Method 1: Standalone executable
+            let executableArgs = pgsToSrtArgs;
+
+            log.info(`Attempting PgsToSrt standalone executable: ${PGSTOSRT_EXECUTABLE} ${executableArgs.join(' ')}`);
+            let executableResult = host.execute({
+                command: PGSTOSRT_EXECUTABLE,
+                argumentList: executableArgs,
+                workingDirectory: PGSTOSRT_INSTALL_DIR
+            });
+
+            log.info(`PgsToSrt executable exit code: ${executableResult.exitCode}`);
+
+            if (executableResult.exitCode === 0 && fs.fileExists(srtFilePath) && fs.fileSize(srtFilePath) > 0) {
+                log.info(`PgsToSrt conversion successful (standalone executable). SRT: ${srtFilePath}`);
+                return srtFilePath;
+            } else {
+                log.warn("Standalone executable failed or produced empty SRT. Trying other methods...");
+            }
+        }
+
+        if (pgsToSrtMode === "dll" || pgsToSrtMode === "executable") {
+            // Method 2: dotnet dll (fallback or primary for dll mode)
+            let dllArgs = ["PgsToSrt.dll"].concat(pgsToSrtArgs);
+
+            log.info(`Attempting PgsToSrt.dll: dotnet ${dllArgs.join(' ')}`);
+            let dotnetResult = host.execute({
+                command: "dotnet",
+                argumentList: dllArgs,
+                workingDirectory: PGSTOSRT_INSTALL_DIR
+            });
+
+            log.info(`PgsToSrt.dll (dotnet) exit code: ${dotnetResult.exitCode}`);
+
+            if (dotnetResult.exitCode === 0 && fs.fileExists(srtFilePath) && fs.fileSize(srtFilePath) > 0) {
+                log.info(`PgsToSrt.dll conversion successful. SRT: ${srtFilePath}`);
+                return srtFilePath;
+            } else {
+                log.warn("Direct PgsToSrt.dll call failed or produced empty SRT.");
+            }
+        }
+
+        log.error(`All PgsToSrt methods failed to convert ${supFilePath} or produced an empty SRT.`);
+        return null; 
+    }
+
+    // --- Job report ---
+
+    function newTrackReport() {
+        return { extractMs: null, ocrMs: null, ocrCached: false, cues: null, outputs: [], errors: [] };
+    }
+
+    function countSrtCues(srtFilePath) {
+        try {
+            return parseSrt(fs.readText(srtFilePath)).length;
+        } catch (eCount) {
+            return null;
+        }
+    }
+
+    function trackReportEntry(track) {
+        let report = track.report || newTrackReport();
+        let qualityScore = variables[`PgsToSrt.QualityScore.${track.id}`];
+        return {
+            id: track.id,
+            name: track.sourceTrackName !== undefined ? track.sourceTrackName : track.trackName,
+            language: track.language,
+            languageDetected: track.languageDetected === true,
+            forced: track.flags.forced === true,
+            default: track.flags.default === true,
+            sidecarPath: track.sidecarPath || null,
+            selected: track.selection.kept,
+            reason: track.selection.reason,
+            status: !track.selection.kept ? "skipped" : (report.outputs.length > 0 ? "converted" : (host.dryRun && report.errors.length === 0 ? "planned" : "failed")),
+            ocrLanguage: track.ocrLanguage || null,
+            extractMs: report.extractMs,
+            ocrMs: report.ocrMs,
+            ocrCached: report.ocrCached,
+            cues: report.cues,
+            qualityScore: qualityScore === undefined ? null : qualityScore,
+            outputs: report.outputs,
+            errors: report.errors
+        };
+    }
+
+    function finishJob(result) {
+        // Maps the outcome onto the script outputs: 1 all converted, 2 partially converted, 3 nothing to do, -1 failed.
+        // A dry run converts nothing; its selected tracks are "planned" and it counts as output 1 when there is work to do.
+        let tracks = jobReport.tracks.map(trackReportEntry);
+        let selected = tracks.filter(track => track.selected);
+        let converted = selected.filter(track => track.status === "converted");
+        let status = "converted";
+        if (result < 0) status = "failed";
+        else if (host.dryRun) status = selected.some(track => track.status === "planned") ? "dry-run" : "nothing-to-do";
+        else if (converted.length === 0) status = "nothing-to-do";
+        else if (converted.length < selected.length) status = "partial";
+
+        let report = {
+            file: originalFileNameForOutput,
+            workingFile: currentWorkingFile,
+            status: status,
+            startedAt: jobReport.startedAt.toISOString(),
+            durationMs: Date.now() - jobReport.startedAt.getTime(),
+            tracksFound: tracks.length,
+            tracksSelected: selected.length,
+            tracksConverted: converted.length,
+            tracksFailed: selected.length - converted.length,
+            tracks: tracks,
+            errors: jobReport.errors
+        };
+
+        variables["PgsToSrt.Status"] = status;
+        variables["PgsToSrt.TracksConverted"] = report.tracksConverted;
+        variables["PgsToSrt.TracksFailed"] = report.tracksFailed;
+        variables["PgsToSrt.Report"] = JSON.stringify(report);
+        if (WriteReport && !host.dryRun) {
+            writeJobReport(report);
+        }
+
+        log.info(`Job result: ${status} (${converted.length} of ${selected.length} selected track(s) converted, ${tracks.length} found)`);
+        tracks.filter(track => track.status === "failed").forEach(track => log.warn(`Track ${track.id} failed: ${track.errors.join(' ') || 'no output was written'}`));
+        return { "converted": 1, "dry-run": 1, "partial": 2, "nothing-to-do": 3, "failed": -1 }[status];
+    }
+
+    function writeJobReport(report) {
+        let reportPath = `${originalFileNameForOutput.substring(0, originalFileNameForOutput.lastIndexOf('.'))}.pgstosrt.json`;
+        try {
+            fs.writeText(reportPath, JSON.stringify(report, null, 2));
+            if (!host.isWindows && FilePermissions) {
+                host.execute({ command: "chmod", argumentList: [FilePermissions, reportPath] });
+            }
+            variables["PgsToSrt.ReportFile"] = reportPath;
+            log.info(`Job report written to: ${reportPath}`);
+        } catch (eReport) {
+            log.warn(`Could not write job report ${reportPath}: ${eReport.message}`);
+        }
+    }
+
+    // --- SRT post-processing ---
+
+    function postProcessSrt(srtFilePath, ocrLanguage, trackLabel) {
+        if (!OcrCorrection) {
+            return;
+        }
+
+        try {
+            let cues = parseSrt(fs.readText(srtFilePath));
+            let replacements = applyOcrCorrections(cues, resolveEffectiveOcrLanguage(ocrLanguage), trackLabel);
+            if (replacements > 0) {
+                fs.writeText(srtFilePath, formatSrt(cues));
+            }
+        } catch (ePost) {
+            log.warn(`Post-processing of ${srtFilePath} for ${trackLabel} failed: ${ePost.message}. Using the SRT as produced by PgsToSrt.`);
+        }
+    }
+
+    function parseFpsConversion(conversion) {
+        if (!conversion) {
+            return 1;
+        }
+        let match = /^(\d+(?:\.\d+)?)\s*[:>\/-]+\s*(\d+(?:\.\d+)?)$/.exec(conversion);
+        let fromFps = match ? parseFloat(match[1]) : 0;
+        let toFps = match ? parseFloat(match[2]) : 0;
+        if (!(fromFps > 0 && toFps > 0)) {
+            log.warn(`Ignoring FpsConversion '${conversion}'. Expected "from:to", e.g. "23.976:25".`);
+            return 1;
+        }
+        // A film sped up from 23.976 to 25 fps runs shorter, so its cue times shrink by the same factor.
+        return fromFps / toFps;
+    }
+
+    function describeTimingStage() {
+        let steps = [];
+        if (MergeIdenticalCues) steps.push(`merge identical cues within ${IDENTICAL_CUE_MAX_GAP_MS}ms`);
+        if (fpsRatio !== 1) steps.push(`rescale by ${FpsConversion.trim()} fps (x${fpsRatio.toFixed(6)})`);
+        if (TimingOffsetMs !== 0) steps.push(`offset ${TimingOffsetMs > 0 ? '+' : ''}${TimingOffsetMs}ms`);
+        if (MaxCueDurationMs > 0) steps.push(`max duration ${MaxCueDurationMs}ms`);
+        if (MinCueGapMs > 0) steps.push(`min gap ${MinCueGapMs}ms`);
+        return steps;
+    }
+
+    function retimeMs(ms) {
+        return Math.round(ms * fpsRatio) + TimingOffsetMs;
+    }
+
+    function applyTimingStage(srtFilePath, displaySets, trackLabel) {
+        if (describeTimingStage().length === 0) {
+            return displaySets;
+        }
+
+        try {
+            let cues = parseSrt(fs.readText(srtFilePath));
+            let stats = { merged: 0, dropped: 0, shortened: 0, gapsWidened: 0 };
+
+            if (MergeIdenticalCues) {
+                cues = cues.reduce((merged, cue) => {
+                    let previous = merged[merged.length - 1];
+                    if (previous && previous.text === cue.text && cue.start - previous.end <= IDENTICAL_CUE_MAX_GAP_MS && cue.start >= previous.start) {
+                        previous.end = Math.max(previous.end, cue.end);
+                        stats.merged++;
+                    } else {
+                        merged.push(cue);
+                    }
+                    return merged;
+                }, []);
+            }
+
+            if (fpsRatio !== 1 || TimingOffsetMs !== 0) {
+                cues.forEach(cue => {
+                    cue.start = retimeMs(cue.start);
+                    cue.end = retimeMs(cue.end);
+                });
+                // A negative offset can push cues before the start of the video.
+                let countBefore = cues.length;
+                cues = cues.filter(cue => cue.end > 0);
+                stats.dropped = countBefore - cues.length;
+                cues.forEach(cue => cue.start = Math.max(0, cue.start));
+            }
+
+            cues.forEach((cue, i) => {
+                if (MaxCueDurationMs > 0 && cue.end - cue.start > MaxCueDurationMs) {
+                    cue.end = cue.start + MaxCueDurationMs;
+                    stats.shortened++;
+                }
+                let next = cues[i + 1];
+                if (MinCueGapMs > 0 && next && next.start >= cue.end && next.start - cue.end < MinCueGapMs) {
+                    // Keep at least half of the cue; a gap is worth less than the text staying readable.
+                    cue.end = Math.max(next.start - MinCueGapMs, cue.start + Math.floor((cue.end - cue.start) / 2));
+                    stats.gapsWidened++;
+                }
+            });
+
+            fs.writeText(srtFilePath, formatSrt(cues));
+            let shifted = fpsRatio !== 1 || TimingOffsetMs !== 0 ? `, retimed ${cues.length} cue(s)` : '';
+            log.info(`Timing for ${trackLabel}: merged ${stats.merged} identical cue(s)${shifted}, dropped ${stats.dropped} cue(s) before 0, shortened ${stats.shortened} long cue(s), widened ${stats.gapsWidened} gap(s).`);
+
+            // Cue positions for ASS/WebVTT are looked up by start time, so the display sets move with the cues.
+            return displaySets.map(displaySet => Object.assign({}, displaySet, { ptsMs: retimeMs(displaySet.ptsMs) }));
+        } catch (eTiming) {
+            log.warn(`Timing adjustment of ${srtFilePath} for ${trackLabel} failed: ${eTiming.message}. Keeping the original timing.`);
+            return displaySets;
+        }
+    }
+
+    function applyOcrCorrections(cues, ocrLanguage, trackLabel) {
+        // Language rules follow the primary (first) language of a combined spec: "fra+eng" is French text with some English,
+        // and English rules such as "lone l read as I" would break "l'ami".
+        let primaryLanguage = ocrLanguage.split('+')[0];
+        let rules = getCorrectionRules().filter(rule => rule.languages.indexOf('*') >= 0 || rule.languages.indexOf(primaryLanguage) >= 0 || rule.languages.indexOf(ocrLanguage) >= 0);
+        let totalReplacements = 0;
+        let idleRules = 0;
+
+        for (let rule of rules) {
+            let ruleReplacements = 0;
+            cues.forEach(cue => {
+                rule.regex.lastIndex = 0;
+                let matches = cue.text.match(rule.regex);
+                if (matches) {
+                    ruleReplacements += matches.length;
+                    cue.text = cue.text.replace(rule.regex, rule.replacement);
+                }
+            });
+            if (ruleReplacements > 0) {
+                log.info(`OCR correction '${rule.name}' made ${ruleReplacements} replacement(s) in ${trackLabel}.`);
+            } else {
+                idleRules++;
+            }
+            totalReplacements += ruleReplacements;
+        }
+
+        log.info(`OCR correction for ${trackLabel} (${ocrLanguage}): ${totalReplacements} replacement(s) from ${rules.length} rule(s), ${idleRules} rule(s) matched nothing.`);
+        return totalReplacements;
+    }
+
+    function getCorrectionRules() {
+        if (correctionRules) {
+            return correctionRules;
+        }
+
+        correctionRules = builtinCorrectionRules();
+        if (CorrectionRulesFile) {
+            let userRules = loadUserCorrectionRules(CorrectionRulesFile);
+            log.info(`Loaded ${userRules.length} correction rule(s) from ${CorrectionRulesFile}`);
+            correctionRules = correctionRules.concat(userRules);
+        }
+        return correctionRules;
+    }
+
+    function builtinCorrectionRules() {
+        return [
+            { name: "stray pipe before italics", languages: ["*"], regex: /\|\s*(?=<i>)/g, replacement: "" },
+            { name: "pipe read as I", languages: ["eng"], regex: /(^|\s)\|(?=\s|['’][a-z])/gm, replacement: "$1I" },
+            { name: "pipe read as l", languages: ["*"], regex: /([a-z])\|(?=[a-z])/g, replacement: "$1l" },
+            { name: "lone l read as I", languages: ["eng"], regex: /\bl\b/g, replacement: "I" },
+            { name: "double I read as ll", languages: ["*"], regex: /([a-z])II\b/g, replacement: "$1ll" },
+            // Only words that are lowercase from their first letter, so names such as "McIntosh" or "MacIntyre" keep their I.
+            { name: "I inside a lowercase word", languages: ["eng"], regex: /\b([a-z]{2,})I(?=[a-z])/g, replacement: "$1l" },
+            { name: "zero inside a lowercase word", languages: ["*"], regex: /([a-z])0(?=[a-z])/g, replacement: "$1o" },
+            { name: "zero inside an uppercase word", languages: ["*"], regex: /([A-Z])0(?=[A-Z])/g, replacement: "$1O" },
+            // No English word starts with "rn", so a leading "rn" is always a misread "m".
+            { name: "rn read as m", languages: ["eng"], regex: /\brn(?=[aeiouy])/g, replacement: "m" },
+            { name: "spaced or broken ellipsis", languages: ["*"], regex: /\. \. \.|\.\. \.|\. \.\.|,\.\.|\.,\.|\.\.,|\.{4,}/g, replacement: "..." },
+            { name: "two-dot ellipsis", languages: ["*"], regex: /([^.])\.\.(?=\s|$)/gm, replacement: "$1..." },
+            // French, Spanish and Italian dialogue correctly starts with an em dash, so only English normalises it.
+            { name: "dialogue dash", languages: ["eng"], regex: /^(?:[–—]|-(?=\s{2,}))\s*/gm, replacement: "- " },
+            { name: "dialogue dash read as ~ or _", languages: ["*"], regex: /^[~_]\s*/gm, replacement: "- " }
+        ];
+    }
+
+    function loadUserCorrectionRules(rulesFilePath) {
+        if (!fs.fileExists(rulesFilePath)) {
+            log.warn(`Correction rules file not found: ${rulesFilePath}`);
+            return [];
+        }
+
+        let content = fs.readText(rulesFilePath);
+        let rawRules = [];
+        if (/^\s*\{/.test(content)) {
+            // JSON: { "<language>" or "*": [ { pattern, replacement, flags?, name? } or [pattern, replacement] ] }
+            let parsed;
+            try {
+                parsed = JSON.parse(content);
+            } catch (e) {
+                log.warn(`Failed to parse correction rules JSON ${rulesFilePath}: ${e.message}`);
+                return [];
+            }
+            Object.keys(parsed).forEach(language => {
+                (parsed[language] || []).forEach(entry => {
+                    let rule = Array.isArray(entry) ? { pattern: entry[0], replacement: entry[1] } : entry;
+                    rawRules.push({ languages: [language.toLowerCase()], pattern: rule.pattern, replacement: rule.replacement, flags: rule.flags, name: rule.name });
+                });
+            });
+        } else {
+            // Text: "pattern => replacement" per line, "[eng]" or "[eng,fra]" switches language, "#" starts a comment.
+            let languages = ['*'];
+            content.split(/\r?\n/).forEach((line, lineIndex) => {
+                let trimmed = line.trim();
+                if (!trimmed || trimmed.startsWith('#')) return;
+                let section = /^\[([^\]]+)\]$/.exec(trimmed);
+                if (section) {
+                    languages = section[1].split(',').map(l => l.trim().toLowerCase()).filter(l => l);
+                    return;
+                }
+                let separator = line.indexOf(' => ');
+                if (separator < 0) {
+                    log.warn(`Ignoring line ${lineIndex + 1} of ${rulesFilePath}: expected "pattern => replacement".`);
+                    return;
+                }
+                rawRules.push({ languages: languages, pattern: line.substring(0, separator), replacement: line.substring(separator + 4) });
+            });
+        }
+
+        let rules = [];
+        rawRules.forEach(raw => {
+            try {
+                let flags = raw.flags || 'gm';
+                if (flags.indexOf('g') < 0) flags += 'g';
+                rules.push({ name: raw.name || raw.pattern, languages: raw.languages, regex: new RegExp(raw.pattern, flags), replacement: raw.replacement || '' });
+            } catch (eRule) {
+                log.warn(`Ignoring invalid correction rule '${raw.pattern}' from ${rulesFilePath}: ${eRule.message}`);
+            }
+        });
+        return rules;
+    }
+
+    // --- ASS / WebVTT output ---
+
+    function createOutputFiles(srtFilePath, displaySets, trackLabel) {
+        let outputs = [];
+        let cues = null;
+        let placedDisplaySets = null;
+        let basePath = srtFilePath.substring(0, srtFilePath.lastIndexOf('.'));
+
+        for (let format of outputFormatList) {
+            if (format === "srt") {
+                outputs.push({ format: format, path: srtFilePath });
+                continue;
+            }
+            try {
+                if (!cues) {
+                    cues = parseSrt(fs.readText(srtFilePath));
+                    placedDisplaySets = displaySets.filter(ds => ds.objects.length > 0 && ds.videoHeight > 0).sort((a, b) => a.ptsMs - b.ptsMs);
+                }
+                let outputPath = `${basePath}.${SUBTITLE_OUTPUT_FORMATS[format].extension}`;
+                let content = format === "ass" ? formatAss(cues, placedDisplaySets) : formatWebVtt(cues, placedDisplaySets);
+                fs.writeText(outputPath, content);
+                outputs.push({ format: format, path: outputPath });
+                log.info(`Created ${SUBTITLE_OUTPUT_FORMATS[format].label} for ${trackLabel}: ${outputPath}`);
+            } catch (eFormat) {
+                log.error(`Failed to create ${SUBTITLE_OUTPUT_FORMATS[format].label} for ${trackLabel}: ${eFormat.message}`);
+            }
+        }
+        return outputs;
+    }
+
+    function findCuePlacement(cue, placedDisplaySets) {
+        // PgsToSrt keeps the start time of the display set a cue came from, so the nearest one holds its position.
+        let low = 0;
+        let high = placedDisplaySets.length - 1;
+        while (low < high) {
+            let mid = (low + high) >> 1;
+            if (placedDisplaySets[mid].ptsMs < cue.start) low = mid + 1; else high = mid;
+        }
+        let nearest = null;
+        [low - 1, low].forEach(i => {
+            let candidate = placedDisplaySets[i];
+            if (candidate && Math.abs(candidate.ptsMs - cue.start) <= 100 && (!nearest || Math.abs(candidate.ptsMs - cue.start) < Math.abs(nearest.ptsMs - cue.start))) {
+                nearest = candidate;
+            }
+        });
+        if (!nearest) {
+            return null;
+        }
+
+        let top = Math.min.apply(null, nearest.objects.map(obj => obj.y));
+        let bottom = Math.max.apply(null, nearest.objects.map(obj => obj.y + obj.height));
+        let left = Math.min.apply(null, nearest.objects.map(obj => obj.x));
+        let right = Math.max.apply(null, nearest.objects.map(obj => obj.x + obj.width));
+        return {
+            videoWidth: nearest.videoWidth,
+            videoHeight: nearest.videoHeight,
+            top: top,
+            centerX: (left + right) / 2,
+            isHigh: (top + bottom) / 2 < nearest.videoHeight / 2
+        };
+    }
+
+    function formatAss(cues, placedDisplaySets) {
+        let playResX = placedDisplaySets.length > 0 ? placedDisplaySets[0].videoWidth : 1920;
+        let playResY = placedDisplaySets.length > 0 ? placedDisplaySets[0].videoHeight : 1080;
+        let assTime = (ms) => {
+            let cs = Math.max(0, Math.round(ms / 10));
+            let pad = (value) => String(value).padStart(2, '0');
+            return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+        };
+        let assText = (text) => text
+            .replace(/[{}]/g, '')
+            .replace(/<(\/?)([ibu])>/gi, (m, closing, tag) => `{\\${tag.toLowerCase()}${closing ? 0 : 1}}`)
+            .replace(/<[^>]*>/g, '')
+            .replace(/\n/g, '\\N');
+
+        let lines = [
+            "[Script Info]",
+            "ScriptType: v4.00+",
+            `PlayResX: ${playResX}`,
+            `PlayResY: ${playResY}`,
+            "WrapStyle: 0",
+            "ScaledBorderAndShadow: yes",
+            "",
+            "[V4+ Styles]",
+            "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+            `Style: Default,Arial,${Math.round(playResY * 0.055)},&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,1,2,${Math.round(playResX * 0.05)},${Math.round(playResX * 0.05)},${Math.round(playResY * 0.05)},1`,
+            "",
+            "[Events]",
+            "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text"
+        ];
+        cues.forEach(cue => {
+            let placement = findCuePlacement(cue, placedDisplaySets);
+            let positionTag = placement && placement.isHigh ? `{\\an8\\pos(${Math.round(placement.centerX)},${placement.top})}` : '';
+            lines.push(`Dialogue: 0,${assTime(cue.start)},${assTime(cue.end)},Default,,0,0,0,,${positionTag}${assText(cue.text)}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    function formatWebVtt(cues, placedDisplaySets) {
+        let vttText = (text) => text
+            .replace(/&/g, '&amp;')
+            .replace(/<(\/?)([ibu])>/gi, (m, closing, tag) => `<${closing}${tag.toLowerCase()}>`)
+            .replace(/<(?!\/?[ibu]>)[^<>]*>/g, '')
+            .replace(/<(?!\/?[ibu]>)/g, '&lt;')
+            .replace(/-->/g, '--&gt;');
+        let blocks = cues.map((cue, i) => {
+            let placement = findCuePlacement(cue, placedDisplaySets);
+            let settings = '';
+            if (placement && placement.isHigh) {
+                settings = ` line:${Math.round(placement.top / placement.videoHeight * 100)}% position:${Math.round(placement.centerX / placement.videoWidth * 100)}% align:center`;
+            }
+            return `${i + 1}\n${formatSrtTimestamp(cue.start).replace(',', '.')} --> ${formatSrtTimestamp(cue.end).replace(',', '.')}${settings}\n${vttText(cue.text)}\n`;
+        });
+        return "WEBVTT\n\n" + blocks.join('\n');
+    }
+
+    // --- OCR quality gate ---
+
+    function passesQualityGate(srtFilePath, displaySets, ocrLanguage, trackLabel, variableKey) {
+        if (MinQualityScore <= 0) {
+            return true;
+        }
+
+        let quality;
+        try {
+            let cues = parseSrt(fs.readText(srtFilePath));
+            let visibleDisplaySets = displaySets.filter(ds => ds.objects.length > 0).length;
+            quality = scoreSrtQuality(cues, visibleDisplaySets, resolveEffectiveOcrLanguage(ocrLanguage));
+        } catch (eQuality) {
+            log.warn(`Could not score OCR quality for ${trackLabel}: ${eQuality.message}. Accepting SRT unscored.`);
+            return true;
+        }
+
+        let passed = quality.score >= MinQualityScore;
+        log.info(`OCR quality for ${trackLabel}: score ${quality.score}/100 (${quality.summary})`);
+        variables[`PgsToSrt.QualityScore.${variableKey}`] = quality.score;
+        let lowestScore = variables["PgsToSrt.QualityScore"];
+        if (lowestScore === undefined || lowestScore === null || quality.score < lowestScore) {
+            variables["PgsToSrt.QualityScore"] = quality.score;
+        }
+
+        if (passed) {
+            return true;
+        }
+        if (RejectLowQuality) {
+            log.error(`Rejecting SRT for ${trackLabel}: quality score ${quality.score} is below the minimum of ${MinQualityScore}. Check the OCR language.`);
+            return false;
+        }
+        log.warn(`SRT for ${trackLabel} scored ${quality.score}, below the minimum of ${MinQualityScore}. Keeping it because RejectLowQuality is false.`);
+        return true;
+    }
+
+    function scoreSrtQuality(cues, expectedCueCount, ocrLanguage) {
+        let emptyCues = cues.filter(cue => cue.text.trim() === '').length;
+        let visibleText = cues.map(cue => stripSubtitleMarkup(cue.text)).join('\n');
+
+        let significantChars = 0;
+        let junkChars = 0;
+        for (let ch of visibleText) {
+            if (/\s/.test(ch)) continue;
+            significantChars++;
+            if ((!isLetterChar(ch) && !/[0-9]/.test(ch) && SUBTITLE_PUNCTUATION.indexOf(ch) < 0) || (Blacklist && Blacklist.indexOf(ch) >= 0)) {
+                junkChars++;
+            }
+        }
+
+        let words = splitWords(visibleText);
+        let wordList = loadQualityWordList(ocrLanguage);
+        let dictionaryHits = wordList ? words.filter(word => wordList.has(word)).length : 0;
+
+        let components = [];
+        if (expectedCueCount > 0) {
+            components.push({ weight: 0.25, value: Math.min(cues.length, expectedCueCount) / Math.max(cues.length, expectedCueCount) });
+        }
+        let emptyShare = cues.length > 0 ? emptyCues / cues.length : 1;
+        components.push({ weight: 0.15, value: 1 - emptyShare });
+        let junkShare = significantChars > 0 ? junkChars / significantChars : 1;
+        // A few percent of odd characters is normal; a fifth or more means the text is noise.
+        components.push({ weight: 0.35, value: Math.max(0, 1 - junkShare * 5) });
+        let dictionaryHitRate = null;
+        if (wordList && words.length > 0) {
+            dictionaryHitRate = dictionaryHits / words.length;
+            components.push({ weight: 0.25, value: dictionaryHitRate });
+        }
+
+        let totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+        let score = Math.round(100 * components.reduce((sum, c) => sum + c.weight * c.value, 0) / totalWeight);
+        let percent = (value) => `${Math.round(value * 100)}%`;
+        let summary = [
+            `${cues.length} cues / ${expectedCueCount > 0 ? expectedCueCount : 'unknown'} display sets`,
+            `${percent(emptyShare)} empty`,
+            `${percent(junkShare)} non-alphabetic or blacklisted`,
+            dictionaryHitRate !== null ? `${percent(dictionaryHitRate)} dictionary words` : 'no word list'
+        ].join(', ');
+        return { score: score, summary: summary };
+    }
+
+    function isLetterChar(ch) {
+        if (ch.toLowerCase() !== ch.toUpperCase()) return true;
+        // Scripts without case (Hebrew, Arabic, CJK, Thai, ...), minus general and CJK punctuation blocks.
+        let code = ch.codePointAt(0);
+        return code >= 0x0590 && !(code >= 0x2000 && code <= 0x2BFF) && !(code >= 0x3000 && code <= 0x303F) && !(code >= 0xFF00 && code <= 0xFF0F);
+    }
+
+    function splitWords(text) {
+        let words = [];
+        let current = '';
+        for (let ch of text) {
+            if (isLetterChar(ch) || (ch === "'" && current)) {
+                current += ch;
+            } else if (current) {
+                words.push(current.toLowerCase().replace(/'+$/, ''));
+                current = '';
+            }
+        }
+        if (current) words.push(current.toLowerCase().replace(/'+$/, ''));
+        return words;
+    }
+
+    function stripSubtitleMarkup(text) {
+        return text.replace(/<[^>]*>/g, '').replace(/\{\\[^}]*\}/g, '');
+    }
+
+    function loadQualityWordList(ocrLanguage) {
+        if (!QualityWordList) {
+            return null;
+        }
+        if (qualityWordLists[ocrLanguage] !== undefined) {
+            return qualityWordLists[ocrLanguage];
+        }
+
+        // Combined languages ("eng+jpn") score against the union of their word lists.
+        let wordList = null;
+        let wordListPaths = fs.directoryExists(QualityWordList) ? ocrLanguage.split('+').map(lang => `${QualityWordList}/${lang}.txt`) : [QualityWordList];
+        for (let wordListPath of wordListPaths) {
+            if (fs.fileExists(wordListPath)) {
+                wordList = wordList || new Set();
+                let countBefore = wordList.size;
+                fs.readText(wordListPath).split(/\r?\n/).map(word => word.trim().toLowerCase()).filter(word => word).forEach(word => wordList.add(word));
+                log.info(`Loaded ${wordList.size - countBefore} words for '${ocrLanguage}' from ${wordListPath}`);
+            } else {
+                log.warn(`No word list found for '${ocrLanguage}' at ${wordListPath}.`);
+            }
+        }
+        if (!wordList) {
+            log.warn(`Scoring '${ocrLanguage}' without a dictionary.`);
+        }
+        qualityWordLists[ocrLanguage] = wordList;
+        return wordList;
+    }
+
+    function parseSrt(srtText) {
+        let cues = [];
+        let blocks = srtText.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+        for (let block of blocks) {
+            let lines = block.split('\n');
+            let timingIndex = lines.findIndex(line => line.indexOf('-->') >= 0);
+            if (timingIndex < 0) continue;
+            let timing = /(\d+):(\d+):(\d+)[,.](\d+)\s*-->\s*(\d+):(\d+):(\d+)[,.](\d+)/.exec(lines[timingIndex]);
+            if (!timing) continue;
+            let toMs = (h, m, sec, ms) => ((parseInt(h, 10) * 60 + parseInt(m, 10)) * 60 + parseInt(sec, 10)) * 1000 + parseInt(ms, 10);
+            cues.push({
+                start: toMs(timing[1], timing[2], timing[3], timing[4]),
+                end: toMs(timing[5], timing[6], timing[7], timing[8]),
+                text: lines.slice(timingIndex + 1).join('\n').trim()
+            });
+        }
+        return cues;
+    }
+
+    function loadPgsDisplaySets(supFilePath, trackLabel) {
+        try {
+            return readPgsDisplaySets(supFilePath);
+        } catch (eSup) {
+            log.warn(`Could not read PGS display sets of ${supFilePath} for ${trackLabel}: ${eSup.message}`);
+            return [];
+        }
+    }
+
+    function formatSrt(cues) {
+        return cues.map((cue, i) => `${i + 1}\n${formatSrtTimestamp(cue.start)} --> ${formatSrtTimestamp(cue.end)}\n${cue.text}\n`).join('\n');
+    }
+
+    function formatSrtTimestamp(ms) {
+        let totalMs = Math.max(0, Math.round(ms));
+        let pad = (value, width) => String(value).padStart(width, '0');
+        return `${pad(Math.floor(totalMs / 3600000), 2)}:${pad(Math.floor(totalMs / 60000) % 60, 2)}:${pad(Math.floor(totalMs / 1000) % 60, 2)},${pad(totalMs % 1000, 3)}`;
+    }
+
+    function readPgsDisplaySets(supFilePath) {
+        // Walks the PGS segment headers ("PG", PTS, DTS, type, size). Presentation composition segments (0x16)
+        // give each display set's objects and positions, object definitions (0x15) their sizes; other payloads are skipped.
+        // Each display set also records its byte range (PCS up to the next PCS) so samples can be cut from the file.
+        let displaySets = [];
+        let objectSizes = {};
+        let stream = fs.openRead(supFilePath);
+        let segmentStart = 0;
+        try {
+            let readBytes = (count) => {
+                let bytes = [];
+                for (let i = 0; i < count; i++) {
+                    let b = stream.readByte();
+                    if (b < 0) return null;
+                    bytes.push(b);
+                }
+                return bytes;
+            };
+            let readUInt16 = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+
+            while (true) {
+                segmentStart = stream.position();
+                let header = readBytes(13);
+                if (!header || header[0] !== 0x50 || header[1] !== 0x47) break;
+                let ptsMs = Math.round(((header[2] * 0x1000000) + (header[3] << 16) + (header[4] << 8) + header[5]) / 90);
+                let segmentType = header[10];
+                let segmentSize = readUInt16(header, 11);
+
+                if (segmentType === 0x15 && segmentSize >= 11) {
+                    let odsHeader = readBytes(11);
+                    if (!odsHeader) break;
+                    stream.skip(segmentSize - 11);
+                    // Only the first fragment of an object carries its width and height.
+                    if (odsHeader[3] & 0x80) {
+                        let objectId = readUInt16(odsHeader, 0);
+                        objectSizes[objectId] = { width: readUInt16(odsHeader, 7), height: readUInt16(odsHeader, 9) };
+                        let current = displaySets[displaySets.length - 1];
+                        if (current) current.definesObjects = true;
+                        (current ? current.objects : []).filter(obj => obj.id === objectId).forEach(obj => {
+                            obj.width = objectSizes[objectId].width;
+                            obj.height = objectSizes[objectId].height;
+                        });
+                    }
+                    continue;
+                }
+                if (segmentType !== 0x16) {
+                    stream.skip(segmentSize);
+                    continue;
+                }
+
+                let payload = readBytes(segmentSize);
+                if (!payload || payload.length < 11) break;
+                let displaySet = { ptsMs: ptsMs, videoWidth: readUInt16(payload, 0), videoHeight: readUInt16(payload, 2), objects: [], offset: segmentStart, endOffset: null, definesObjects: false };
+                if (displaySets.length > 0) displaySets[displaySets.length - 1].endOffset = segmentStart;
+                let objectCount = payload[10];
+                let offset = 11;
+                for (let i = 0; i < objectCount && offset + 8 <= payload.length; i++) {
+                    let objectId = readUInt16(payload, offset);
+                    let knownSize = objectSizes[objectId] || { width: 0, height: 0 };
+                    displaySet.objects.push({ id: objectId, x: readUInt16(payload, offset + 4), y: readUInt16(payload, offset + 6), width: knownSize.width, height: knownSize.height });
+                    // Cropped objects carry 8 extra bytes of crop rectangle.
+                    offset += (payload[offset + 3] & 0x80) ? 16 : 8;
+                }
+                displaySets.push(displaySet);
+            }
+            if (displaySets.length > 0) displaySets[displaySets.length - 1].endOffset = Math.min(segmentStart, stream.length());
+        } finally {
+            stream.close();
+        }
+        return displaySets;
+    }
+
+    function setWorkingFile(path) {
+        host.setWorkingFile(path);
+        currentWorkingFile = path;
+    }
+}
@@ -0,0 +1,83 @@
+// Minimal PGS writer and reader shared by the fake tools. Each cue is one display set with a bitmap (PCS, PDS, ODS, END)
+// followed by a clearing display set (PCS without objects, END). The ODS bitmap data holds the cue's language code,
+// which the fake PgsToSrt uses to decide whether the requested OCR language "reads" the subtitle.
+const fs = require('fs');
+
+const SEGMENT_PCS = 0x16;
+const SEGMENT_PDS = 0x14;
+const SEGMENT_ODS = 0x15;
+const SEGMENT_END = 0x80;
+
+function segment(type, ptsMs, payload) {
+    const header = Buffer.alloc(13);
+    header.write('PG', 0, 'latin1');
+    header.writeUInt32BE(ptsMs * 90, 2);
+    header[10] = type;
+    header.writeUInt16BE(payload.length, 11);
+    return Buffer.concat([header, payload]);
+}
+
+function compositionSegment(ptsMs, objectCount, compositionNumber) {
+    const payload = Buffer.alloc(11 + objectCount * 8);
+    payload.writeUInt16BE(1920, 0);
+    payload.writeUInt16BE(1080, 2);
+    payload[4] = 0x10;
+    payload.writeUInt16BE(compositionNumber, 5);
+    payload[7] = objectCount > 0 ? 0x80 : 0x00;
+    payload[10] = objectCount;
+    if (objectCount > 0) {
+        payload.writeUInt16BE(560, 11 + 4);
+        payload.writeUInt16BE(900, 11 + 6);
+    }
+    return segment(SEGMENT_PCS, ptsMs, payload);
+}
+
+function objectSegment(ptsMs, language) {
+    const data = Buffer.from(language, 'latin1');
+    const payload = Buffer.alloc(11 + data.length);
+    payload[3] = 0xC0;
+    payload.writeUIntBE(data.length + 4, 4, 3);
+    payload.writeUInt16BE(800, 7);
+    payload.writeUInt16BE(80, 9);
+    data.copy(payload, 11);
+    return segment(SEGMENT_ODS, ptsMs, payload);
+}
+
+function writeSup(path, cueCount, language) {
+    const parts = [];
+    for (let i = 0; i < cueCount; i++) {
+        const startMs = 1000 + i * 3000;
+        parts.push(compositionSegment(startMs, 1, i * 2), segment(SEGMENT_PDS, startMs, Buffer.alloc(7)), objectSegment(startMs, language), segment(SEGMENT_END, startMs, Buffer.alloc(0)));
+        parts.push(compositionSegment(startMs + 2000, 0, i * 2 + 1), segment(SEGMENT_END, startMs + 2000, Buffer.alloc(0)));
+    }
+    fs.writeFileSync(path, Buffer.concat(parts));
+}
+
+function readSupCues(path) {
+    const bytes = fs.readFileSync(path);
+    const cues = [];
+    let open = null;
+    for (let offset = 0; offset + 13 <= bytes.length; offset += 13 + bytes.readUInt16BE(offset + 11)) {
+        if (bytes[offset] !== 0x50 || bytes[offset + 1] !== 0x47) break;
+        const ptsMs = Math.round(bytes.readUInt32BE(offset + 2) / 90);
+        const type = bytes[offset + 10];
+        if (type === SEGMENT_PCS) {
+            if (open) {
+                open.endMs = ptsMs;
+                cues.push(open);
+                open = null;
+            }
+            if (bytes[offset + 13 + 10] > 0) open = { startMs: ptsMs, endMs: null, language: null };
+        } else if (type === SEGMENT_ODS && open) {
+            const size = bytes.readUInt16BE(offset + 11);
+            open.language = bytes.toString('latin1', offset + 13 + 11, offset + 13 + size);
+        }
+    }
+    if (open) {
+        open.endMs = open.startMs + 2000;
+        cues.push(open);
+    }
+    return cues;
+}
+
+module.exports = { writeSup, readSupCues };
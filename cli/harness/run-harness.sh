@@ -0,0 +1,181 @@
+#!/bin/sh
+# Runs the whole pipeline offline through cli/pgstosrt.mjs against fake mkvmerge, mkvextract, ffprobe, ffmpeg and PgsToSrt
+# tools (cli/harness/fake-tools) on a generated library, and checks the files and job reports it produces.
+# Usage: sh cli/harness/run-harness.sh
+set -eu
+
+HARNESS_DIR=$(cd "$(dirname "$0")" && pwd)
+REPO_DIR=$(cd "$HARNESS_DIR/../.." && pwd)
+FAKE_TOOLS="$HARNESS_DIR/fake-tools"
+WORK_DIR=$(mktemp -d)
+trap 'rm -rf "$WORK_DIR"' EXIT
+
+LIBRARY="$WORK_DIR/library"
+MOVIES="$LIBRARY/Movies"
+mkdir -p "$MOVIES" "$LIBRARY/Standalone" "$WORK_DIR/tessdata" "$WORK_DIR/temp"
+touch "$WORK_DIR/tessdata/eng.traineddata" "$WORK_DIR/tessdata/fra.traineddata" "$WORK_DIR/tessdata/jpn.traineddata"
+
+fail() {
+    echo "FAIL: $*" >&2
+    exit 1
+}
+
+# Evaluates a JavaScript expression against a JSON file bound to "json"; fails the harness when it is falsy.
+check_json() {
+    node -e '
+        const json = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8"));
+        if (!eval(process.argv[2])) process.exit(1);
+    ' "$1" "$2" || fail "$3"
+}
+
+run_cli() {
+    node "$REPO_DIR/cli/pgstosrt.mjs" \
+        --pgstosrt-dir "$FAKE_TOOLS" --mkvmerge "$FAKE_TOOLS/mkvmerge" --mkvextract "$FAKE_TOOLS/mkvextract" \
+        --ffprobe "$FAKE_TOOLS/ffprobe" --ffmpeg "$FAKE_TOOLS/ffmpeg" --temp "$WORK_DIR/temp" \
+        --set "TesseractPath=$WORK_DIR/tessdata" --set OcrCacheDir= --set DetectLanguages=eng,jpn --set WriteReport=true "$@"
+}
+
+library_snapshot() {
+    (cd "$LIBRARY" && find . -type f | sort | while read -r file; do echo "$file $(cksum < "$file")"; done)
+}
+
+# A fake MKV is the track list mkvmerge -J prints; "harness" sets the cue count and the language the bitmaps hold.
+cat > "$MOVIES/Movie.mkv" <<'EOF'
+{
+  "tracks": [
+    { "id": 0, "type": "video", "codec": "AVC/H.264/MPEG-4p10", "codec_id": "V_MPEG4/ISO/AVC", "properties": { "language": "und" } },
+    { "id": 1, "type": "audio", "codec": "AC-3", "codec_id": "A_AC3", "properties": { "language": "eng", "default_track": true } },
+    { "id": 2, "type": "subtitles", "codec": "HDMV PGS", "codec_id": "S_HDMV/PGS", "properties": { "language": "eng", "track_name": "English", "default_track": true }, "harness": { "cues": 5 } },
+    { "id": 3, "type": "subtitles", "codec": "HDMV PGS", "codec_id": "S_HDMV/PGS", "properties": { "language": "fre", "track_name": "Français" }, "harness": { "language": "fra" } },
+    { "id": 4, "type": "subtitles", "codec": "HDMV PGS", "codec_id": "S_HDMV/PGS", "properties": { "language": "und" }, "harness": { "cues": 6, "language": "jpn" } }
+  ]
+}
+EOF
+node -e '
+    const { writeSup } = require(process.argv[1]);
+    writeSup(process.argv[2], 2, "eng");
+    writeSup(process.argv[3], 3, "eng");
+    writeSup(process.argv[4], 2, "eng");
+' "$FAKE_TOOLS/pgs-fixture.cjs" "$MOVIES/Movie.en.forced.sup" "$LIBRARY/Standalone/Clip.sup" "$MOVIES/Movie 2.sup"
+
+echo "== Dry run"
+before=$(library_snapshot)
+run_cli --dry-run --set TrackLanguageFilter=eng,fre,und "$LIBRARY" > "$WORK_DIR/dry-run.log" || fail "dry run exited with $?"
+grep -q "track 4 (und): planned" "$WORK_DIR/dry-run.log" || fail "dry run did not plan the untagged track"
+[ "$before" = "$(library_snapshot)" ] || fail "dry run changed the library"
+
+echo "== Convert to external subtitles"
+# French is OCRed as "fra+eng": English-only corrections must not touch it.
+run_cli --set TrackLanguageFilter=eng,fre,und --set MuxToMkv=false --set OcrLanguageMap=fre=fra+eng "$LIBRARY" > "$WORK_DIR/convert.log" \
+    || fail "conversion exited with $?"
+report="$MOVIES/Movie.pgstosrt.json"
+[ -f "$report" ] || fail "no job report for Movie.mkv"
+check_json "$report" 'json.status === "converted" && json.tracks.length === 4 && json.tracks.every(track => track.status === "converted")' \
+    "not every track of Movie.mkv was converted"
+check_json "$report" 'json.tracks.some(track => track.id === "4" && track.language === "jpn" && track.languageDetected)' \
+    "the untagged track was not detected as Japanese"
+check_json "$report" 'json.tracks.some(track => track.id === "2" && track.cues === 5)' "the English track does not have 5 cues"
+grep -q "今日は" "$MOVIES"/Movie*.jpn*.srt || fail "the Japanese subtitle was not OCRed with jpn"
+grep -q "rentrer" "$MOVIES"/Movie*.fre*.srt || fail "the French subtitle was not OCRed with fra"
+grep -q "l'ami de l'homme" "$MOVIES"/Movie*.fre*.srt || fail "English OCR corrections changed the French subtitle"
+check_json "$LIBRARY/Standalone/Clip.pgstosrt.json" 'json.status === "converted"' "the standalone SUP was not converted"
+ls "$LIBRARY/Standalone"/Clip*.srt > /dev/null 2>&1 || fail "no subtitle written for the standalone SUP"
+# "Movie 2.sup" only shares a prefix with Movie.mkv; it is not its sidecar.
+check_json "$MOVIES/Movie 2.pgstosrt.json" 'json.status === "converted"' "the SUP sharing a prefix with a video was not converted on its own"
+
+echo "== Re-run with the subtitles already present"
+# The untagged track's subtitle is named after the language detected during OCR; the re-run must still recognise it.
+run_cli --set TrackLanguageFilter=eng,fre --set MuxToMkv=false "$MOVIES/Movie.mkv" > "$WORK_DIR/rerun.log" || fail "re-run exited with $?"
+check_json "$report" 'json.tracks.length === 4 && json.tracks.every(track => track.status === "skipped")' \
+    "the re-run converted tracks whose subtitles already exist"
+
+echo "== Mux into the MKV, replacing the PGS tracks"
+rm -f "$MOVIES"/Movie*.srt "$report"
+run_cli --set TrackLanguageFilter=eng,fre,und --set ReplacePgs=true --set IncludeSidecarSup=false "$MOVIES/Movie.mkv" > "$WORK_DIR/mux.log" || fail "mux run exited with $?"
+check_json "$MOVIES/Movie.mkv" 'json.tracks.every(track => track.codec_id !== "S_HDMV/PGS")' "PGS tracks are left in the muxed MKV"
+check_json "$MOVIES/Movie.mkv" 'json.tracks.map(track => track.properties.language).join(",") === "und,eng,eng,fre,jpn"' \
+    "the muxed MKV does not keep the original track order"
+check_json "$MOVIES/Movie.mkv" 'json.tracks[2].properties.track_name === "English" && json.tracks[2].properties.default_track === true' \
+    "the replacement English track lost its name or default flag"
+[ ! -e "$MOVIES/Movie.mkv.pgstosrt-tmp" ] || fail "the staging copy of the muxed MKV was left behind"
+ls "$MOVIES"/Movie*.srt > /dev/null 2>&1 && fail "the mux run also wrote external subtitles"
+
+echo "== Mux an untagged track twice"
+cat > "$MOVIES/Untagged.mkv" <<'EOF'
+{
+  "tracks": [
+    { "id": 0, "type": "video", "codec": "AVC/H.264/MPEG-4p10", "codec_id": "V_MPEG4/ISO/AVC", "properties": { "language": "und" } },
+    { "id": 1, "type": "subtitles", "codec": "HDMV PGS", "codec_id": "S_HDMV/PGS", "properties": { "language": "und" }, "harness": { "language": "jpn" } }
+  ]
+}
+EOF
+run_cli --set TrackLanguageFilter=und "$MOVIES/Untagged.mkv" > "$WORK_DIR/untagged.log" || fail "first mux of the untagged track exited with $?"
+run_cli --set TrackLanguageFilter=und "$MOVIES/Untagged.mkv" > "$WORK_DIR/untagged.log" || fail "second mux of the untagged track exited with $?"
+check_json "$MOVIES/Untagged.mkv" 'json.tracks.filter(track => track.properties.language === "jpn").length === 1' \
+    "muxing the untagged track again added a second Japanese subtitle"
+
+echo "== Track rules, ASS and WebVTT output, OCR cache"
+mkdir -p "$LIBRARY/Rules"
+cat > "$LIBRARY/Rules/Show.mkv" <<'EOF'
+{
+  "tracks": [
+    { "id": 0, "type": "video", "codec": "AVC/H.264/MPEG-4p10", "codec_id": "V_MPEG4/ISO/AVC", "properties": { "language": "und" } },
+    { "id": 1, "type": "subtitles", "codec": "HDMV PGS", "codec_id": "S_HDMV/PGS", "properties": { "language": "eng", "track_name": "English", "tag_number_of_bytes": "1000" } },
+    { "id": 2, "type": "subtitles", "codec": "HDMV PGS", "codec_id": "S_HDMV/PGS", "properties": { "language": "eng", "track_name": "English SDH", "tag_number_of_bytes": "5000" } },
+    { "id": 3, "type": "subtitles", "codec": "HDMV PGS", "codec_id": "S_HDMV/PGS", "properties": { "language": "eng", "track_name": "Director's Commentary", "tag_number_of_bytes": "9000" } }
+  ]
+}
+EOF
+rules='[{"name": "Commentary", "action": "exclude"}, {"language": "eng", "action": "best"}]'
+run_rules() {
+    run_cli --set TrackLanguageFilter=eng --set MuxToMkv=false --set "TrackRules=$rules" --set OutputFormats=srt,ass,vtt \
+        --set "OcrCacheDir=$WORK_DIR/ocr-cache" "$LIBRARY/Rules/Show.mkv" > "$WORK_DIR/rules.log" || fail "track rules run exited with $?"
+}
+run_rules
+report="$LIBRARY/Rules/Show.pgstosrt.json"
+check_json "$report" 'json.tracks.map(track => track.status).join(",") === "skipped,converted,skipped"' \
+    "TrackRules did not exclude the commentary and keep only the largest English track"
+check_json "$report" 'json.tracks[2].reason === "rule 1 (exclude)" && json.tracks[1].ocrCached === false' \
+    "the commentary was not excluded by its rule, or the first OCR came from the cache"
+grep -q "^\[Script Info\]" "$LIBRARY/Rules"/Show*.ass || fail "no ASS subtitle written"
+grep -q "^WEBVTT" "$LIBRARY/Rules"/Show*.vtt || fail "no WebVTT subtitle written"
+grep -q "Where did you put the keys?" "$LIBRARY/Rules"/Show*.vtt || fail "the WebVTT subtitle does not hold the OCR text"
+rm -f "$LIBRARY/Rules"/Show*.srt "$LIBRARY/Rules"/Show*.ass "$LIBRARY/Rules"/Show*.vtt "$report"
+run_rules
+check_json "$report" 'json.tracks[1].status === "converted" && json.tracks[1].ocrCached === true' "the second run did not take the OCR result from the cache"
+
+echo "== Quality gate"
+mkdir -p "$LIBRARY/Quality"
+# Tagged English, but the bitmaps hold Japanese: English OCR reads junk.
+cat > "$LIBRARY/Quality/Mislabelled.mkv" <<'EOF'
+{
+  "tracks": [
+    { "id": 0, "type": "video", "codec": "AVC/H.264/MPEG-4p10", "codec_id": "V_MPEG4/ISO/AVC", "properties": { "language": "und" } },
+    { "id": 1, "type": "subtitles", "codec": "HDMV PGS", "codec_id": "S_HDMV/PGS", "properties": { "language": "eng" }, "harness": { "language": "jpn" } }
+  ]
+}
+EOF
+run_cli --set TrackLanguageFilter=eng --set MuxToMkv=false --set RejectLowQuality=true --set MinQualityScore=60 \
+    "$LIBRARY/Quality/Mislabelled.mkv" > "$WORK_DIR/quality.log" && fail "the quality gate run did not report a failure"
+report="$LIBRARY/Quality/Mislabelled.pgstosrt.json"
+check_json "$report" 'json.tracks[0].status === "failed" && json.tracks[0].qualityScore < 60' "the low-quality subtitle was not rejected"
+ls "$LIBRARY/Quality"/Mislabelled*.srt > /dev/null 2>&1 && fail "the rejected subtitle was written"
+
+echo "== M2TS through ffprobe and ffmpeg"
+mkdir -p "$LIBRARY/Disc"
+# A fake M2TS is the stream list ffprobe -show_streams prints.
+cat > "$LIBRARY/Disc/Disc.m2ts" <<'EOF'
+{
+  "streams": [
+    { "index": 0, "codec_type": "video", "codec_name": "h264" },
+    { "index": 1, "codec_type": "audio", "codec_name": "ac3", "tags": { "language": "eng" } },
+    { "index": 2, "codec_type": "subtitle", "codec_name": "hdmv_pgs_subtitle", "tags": { "language": "fre" }, "disposition": { "forced": 1 }, "harness": { "cues": 3, "language": "fra" } }
+  ]
+}
+EOF
+run_cli --set TrackLanguageFilter=fre "$LIBRARY/Disc/Disc.m2ts" > "$WORK_DIR/disc.log" || fail "M2TS run exited with $?"
+check_json "$LIBRARY/Disc/Disc.pgstosrt.json" 'json.status === "converted" && json.tracks[0].id === "2" && json.tracks[0].forced && json.tracks[0].cues === 3' \
+    "the PGS stream of the M2TS was not converted"
+grep -q "rentrer" "$LIBRARY/Disc"/Disc*.fre*.srt || fail "no French subtitle written next to the M2TS"
+
+echo "Harness passed."
@@ -0,0 +1,125 @@
+/**
+ * @description Node implementation of the host adapter runPgsToSrt expects (see Shared/PgsToSrtCore.js): processes run through
+ * child_process, files through the synchronous fs API, log lines go to the given logger.
+ */
+import * as nodeFs from 'node:fs';
+import * as nodePath from 'node:path';
+import { spawnSync } from 'node:child_process';
+
+const READ_BUFFER_SIZE = 64 * 1024;
+const MAX_PROCESS_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+/**
+ * @param {object} options
+ * @param {string} options.file File to convert; it is both the working file and the original the outputs are named after
+ * @param {string} options.tempPath Existing folder for temporary files
+ * @param {object} options.log { info, warn, error } receiving the job's log lines
+ * @param {object} [options.tools] Tool locations, passed through to the core
+ * @param {boolean} [options.dryRun] Probe and select only
+ * @returns {object} The host, plus "currentWorkingFile" updated whenever the core hands over a new working file
+ */
+export function createNodeHost(options) {
+    let host = {
+        workingFile: options.file,
+        originalFile: options.file,
+        tempPath: options.tempPath,
+        isWindows: process.platform === 'win32',
+        variables: {},
+        tools: options.tools || {},
+        dryRun: options.dryRun === true,
+        log: options.log,
+        setWorkingFile: (path) => { host.currentWorkingFile = path; },
+        currentWorkingFile: options.file,
+        execute: executeProcess,
+        sleep: sleep,
+        fs: nodeFileSystem()
+    };
+    return host;
+}
+
+function executeProcess(options) {
+    let result = spawnSync(options.command, options.argumentList || [], {
+        cwd: options.workingDirectory || undefined,
+        encoding: 'utf8',
+        maxBuffer: MAX_PROCESS_OUTPUT_BYTES
+    });
+    if (result.error) {
+        return { exitCode: -1, output: '', standardError: result.error.message };
+    }
+    return { exitCode: result.status === null ? -1 : result.status, output: result.stdout, standardError: result.stderr };
+}
+
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function nodeFileSystem() {
+    let stat = (path) => {
+        try {
+            return nodeFs.statSync(path);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    return {
+        fileExists: (path) => { let info = stat(path); return info !== null && info.isFile(); },
+        directoryExists: (path) => { let info = stat(path); return info !== null && info.isDirectory(); },
+        createDirectory: (path) => { nodeFs.mkdirSync(path, { recursive: true }); },
+        listFiles: (folder, pattern) => {
+            // Same wildcard semantics as .NET Directory.GetFiles: "*" matches any run of characters.
+            let expression = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, process.platform === 'win32' ? 'i' : '');
+            return nodeFs.readdirSync(folder, { withFileTypes: true })
+                .filter(entry => entry.isFile() && expression.test(entry.name))
+                .map(entry => nodePath.join(folder, entry.name));
+        },
+        fileSize: (path) => nodeFs.statSync(path).size,
+        lastWriteTime: (path) => nodeFs.statSync(path).mtimeMs,
+        touch: (path) => { let now = new Date(); nodeFs.utimesSync(path, now, now); },
+        readText: (path) => nodeFs.readFileSync(path, 'utf8'),
+        writeText: (path, text) => nodeFs.writeFileSync(path, text),
+        copy: (source, destination, overwrite) => nodeFs.copyFileSync(source, destination, overwrite ? 0 : nodeFs.constants.COPYFILE_EXCL),
+        delete: (path) => nodeFs.rmSync(path, { force: true }),
+        openRead: openBufferedReader,
+        writeRanges: (source, destination, ranges) => {
+            let input = nodeFs.openSync(source, 'r');
+            let output = nodeFs.openSync(destination, 'w');
+            try {
+                ranges.forEach(range => {
+                    let buffer = Buffer.alloc(range.length);
+                    let read = nodeFs.readSync(input, buffer, 0, range.length, range.offset);
+                    nodeFs.writeSync(output, buffer, 0, read);
+                });
+            } finally {
+                nodeFs.closeSync(input);
+                nodeFs.closeSync(output);
+            }
+        }
+    };
+}
+
+function openBufferedReader(path) {
+    let fd = nodeFs.openSync(path, 'r');
+    let length = nodeFs.fstatSync(fd).size;
+    let buffer = Buffer.alloc(READ_BUFFER_SIZE);
+    let bufferStart = 0;
+    let bufferLength = 0;
+    let position = 0;
+
+    return {
+        readByte: () => {
+            if (position >= length) {
+                return -1;
+            }
+            if (position < bufferStart || position >= bufferStart + bufferLength) {
+                bufferStart = position;
+                bufferLength = nodeFs.readSync(fd, buffer, 0, READ_BUFFER_SIZE, position);
+            }
+            return buffer[position++ - bufferStart];
+        },
+        skip: (count) => { position += count; },
+        position: () => position,
+        length: () => length,
+        close: () => nodeFs.closeSync(fd)
+    };
+}
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * @description Batch-converts the PGS subtitles of a library with the same pipeline as the FileFlows script.
+ * Walks the given folders for MKV, M2TS, TS, MP4 and standalone SUP files and runs each through runPgsToSrt.
+ * Muxed MKVs replace the original file; external subtitles are written next to it.
+ */
+import * as nodeFs from 'node:fs';
+import * as nodeOs from 'node:os';
+import * as nodePath from 'node:path';
+import { runPgsToSrt, PGSTOSRT_PARAMETERS } from '../Shared/PgsToSrtCore.js';
+import { createNodeHost } from './node-host.mjs';
+
+const VIDEO_EXTENSIONS = ["mkv", "m2ts", "mts", "ts", "mp4", "m4v"];
+const TOOL_OPTIONS = { "--pgstosrt-dir": "pgsToSrtDir", "--mkvmerge": "mkvmerge", "--mkvextract": "mkvextract", "--ffprobe": "ffprobe", "--ffmpeg": "ffmpeg" };
+const USAGE = `Usage: node cli/pgstosrt.mjs [options] <folder or file>...
+
+Options:
+  --dry-run              Probe and select tracks, print what would be converted, change nothing
+  --config <file>        JSON object of job parameters, named as in the FileFlows script (e.g. {"OcrLanguage": "eng"})
+  --set <Name=value>     Set one job parameter; repeatable and applied after --config
+  --pgstosrt-dir <dir>   PgsToSrt install folder (default: /opt/pgstosrt)
+  --mkvmerge <path>      mkvmerge executable (default: /usr/bin/mkvmerge); likewise --mkvextract, --ffprobe, --ffmpeg
+  --temp <dir>           Folder for temporary files (default: the system temp folder)
+  --verbose              Print every log line, not only warnings and errors
+  --help                 Show this help
+
+Exit code: 0 when every file was converted or had nothing to do, 1 when a file failed or was only partially converted, 2 on usage errors.`;
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (eArguments) {
+        console.error(`${eArguments.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let files = options.inputs.flatMap(input => collectFiles(nodePath.resolve(input), options.params));
+    if (files.length === 0) {
+        console.log("No MKV, M2TS, TS, MP4 or SUP files found.");
+        return 0;
+    }
+
+    let tempRoot = nodeFs.mkdtempSync(nodePath.join(options.tempDir || nodeOs.tmpdir(), 'pgstosrt-'));
+    let results = [];
+    try {
+        for (let file of files) {
+            results.push(convertFile(file, tempRoot, options));
+        }
+    } finally {
+        nodeFs.rmSync(tempRoot, { recursive: true, force: true });
+    }
+
+    let counts = {};
+    results.forEach(result => counts[result.status] = (counts[result.status] || 0) + 1);
+    console.log(`\n${files.length} file(s): ${Object.keys(counts).map(status => `${counts[status]} ${status}`).join(', ')}`);
+    return results.some(result => result.status === "failed" || result.status === "partial") ? 1 : 0;
+}
+
+function parseArguments(argv) {
+    let options = { inputs: [], params: {}, tools: {}, dryRun: false, verbose: false, help: false, tempDir: null };
+    let overrides = [];
+    let valueOf = (i) => {
+        if (i + 1 >= argv.length) throw new Error(`${argv[i]} needs a value.`);
+        return argv[i + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (arg === "--dry-run") options.dryRun = true;
+        else if (arg === "--verbose") options.verbose = true;
+        else if (arg === "--help" || arg === "-h") options.help = true;
+        else if (arg === "--config") options.params = readConfig(valueOf(i++));
+        else if (arg === "--set") overrides.push(valueOf(i++));
+        else if (arg === "--temp") options.tempDir = valueOf(i++);
+        else if (TOOL_OPTIONS[arg]) options.tools[TOOL_OPTIONS[arg]] = nodePath.resolve(valueOf(i++));
+        else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}.`);
+        else options.inputs.push(arg);
+    }
+
+    overrides.forEach(override => {
+        let separator = override.indexOf('=');
+        if (separator <= 0) throw new Error(`--set expects Name=value, got '${override}'.`);
+        let value = override.substring(separator + 1);
+        // FileFlows passes booleans as booleans; everything else the core parses from text itself.
+        options.params[override.substring(0, separator)] = value === "true" ? true : value === "false" ? false : value;
+    });
+    let unknown = Object.keys(options.params).filter(name => PGSTOSRT_PARAMETERS.indexOf(name) < 0);
+    if (unknown.length > 0) throw new Error(`Unknown job parameter(s): ${unknown.join(', ')}.`);
+    if (!options.help && options.inputs.length === 0) throw new Error("No folder or file given.");
+    return options;
+}
+
+function readConfig(configPath) {
+    let config = JSON.parse(nodeFs.readFileSync(configPath, 'utf8'));
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`${configPath} must contain a JSON object of job parameters.`);
+    }
+    return config;
+}
+
+function collectFiles(inputPath, params) {
+    if (!nodeFs.existsSync(inputPath)) {
+        console.error(`Not found: ${inputPath}`);
+        return [];
+    }
+    if (nodeFs.statSync(inputPath).isFile()) {
+        return [inputPath];
+    }
+
+    let files = [];
+    let entries = nodeFs.readdirSync(inputPath, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+    let videoBaseNames = entries.filter(entry => entry.isFile() && VIDEO_EXTENSIONS.indexOf(extensionOf(entry.name)) >= 0)
+        .map(entry => entry.name.substring(0, entry.name.lastIndexOf('.')));
+    for (let entry of entries) {
+        let entryPath = nodePath.join(inputPath, entry.name);
+        if (entry.isDirectory()) {
+            files = files.concat(collectFiles(entryPath, params));
+        } else if (VIDEO_EXTENSIONS.indexOf(extensionOf(entry.name)) >= 0) {
+            files.push(entryPath);
+        } else if (extensionOf(entry.name) === "sup") {
+            // "<video name>.*.sup" files (any case, as the core lists them) are OCRed with their video unless IncludeSidecarSup is off.
+            let isSidecar = params.IncludeSidecarSup !== false
+                && videoBaseNames.some(baseName => entry.name.toLowerCase().startsWith(`${baseName.toLowerCase()}.`));
+            if (!isSidecar) files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+function extensionOf(fileName) {
+    return fileName.substring(fileName.lastIndexOf('.') + 1).toLowerCase();
+}
+
+function convertFile(file, tempRoot, options) {
+    console.log(`\n== ${file}`);
+    let tempPath = nodeFs.mkdtempSync(nodePath.join(tempRoot, 'job-'));
+    let host = createNodeHost({
+        file: file,
+        tempPath: tempPath,
+        tools: options.tools,
+        dryRun: options.dryRun,
+        log: {
+            info: (message) => { if (options.verbose) console.log(`  ${message}`); },
+            warn: (message) => console.log(`  WARN  ${message}`),
+            error: (message) => console.log(`  ERROR ${message}`)
+        }
+    });
+
+    let status;
+    try {
+        let result = runPgsToSrt(host, Object.assign({}, options.params));
+        let report = host.variables["PgsToSrt.Report"] ? JSON.parse(host.variables["PgsToSrt.Report"]) : null;
+        status = report ? report.status : (result < 0 ? "failed" : "converted");
+        if (report) printReport(report);
+        if (!options.dryRun && host.currentWorkingFile !== file && host.currentWorkingFile.startsWith(tempPath)) {
+            replaceOriginal(file, host.currentWorkingFile);
+        }
+    } catch (eJob) {
+        console.log(`  ERROR ${eJob.stack || eJob.message}`);
+        status = "failed";
+    } finally {
+        nodeFs.rmSync(tempPath, { recursive: true, force: true });
+    }
+    console.log(`  => ${status}`);
+    return { file: file, status: status };
+}
+
+function printReport(report) {
+    report.tracks.forEach(track => {
+        let outputs = track.outputs.map(output => output.path ? nodePath.basename(output.path) : output.muxedTrackName ? `muxed as "${output.muxedTrackName}"` : "muxed").join(', ');
+        let detail = track.status === "skipped" ? track.reason : (track.errors.join(' ') || outputs);
+        console.log(`  track ${track.id} (${track.language}${track.languageDetected ? ', detected' : ''}): ${track.status}${detail ? ` - ${detail}` : ''}`);
+    });
+    report.errors.forEach(error => console.log(`  ERROR ${error}`));
+}
+
+function replaceOriginal(originalPath, newPath) {
+    // Copied next to the original first, so the final rename never crosses file systems.
+    let stagingPath = `${originalPath}.pgstosrt-tmp`;
+    nodeFs.copyFileSync(newPath, stagingPath);
+    nodeFs.renameSync(stagingPath, originalPath);
+    nodeFs.rmSync(newPath, { force: true });
+    console.log(`  Replaced ${originalPath} with the muxed file.`);
+}
+
+process.exitCode = main(process.argv.slice(2));
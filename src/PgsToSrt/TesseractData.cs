@@ -20,9 +20,14 @@ namespace PgsToSrt
             string result = null;
             var languages = GetAvailableLanguages(tesseractData);
 
-            if (wantedLanguage != null && !languages.Contains(wantedLanguage.ToLowerInvariant()))
+            // Tesseract accepts several languages joined with '+', e.g. "eng+jpn".
+            var wantedParts = wantedLanguage?.Split('+', StringSplitOptions.RemoveEmptyEntries) ?? Array.Empty<string>();
+            var missingParts = wantedParts.Where(l => !languages.Contains(l.ToLowerInvariant())).ToList();
+
+            if (wantedLanguage != null && (wantedParts.Length == 0 || missingParts.Any()))
             {
-                _logger.LogError($"Language '{wantedLanguage}' is not available in Tesseract data directory.");
+                var missingLanguage = missingParts.Any() ? string.Join("+", missingParts) : wantedLanguage;
+                _logger.LogError($"Language '{missingLanguage}' is not available in Tesseract data directory.");
                 _logger.LogInformation("Available languages:");
                 foreach (var language in languages)
                 {